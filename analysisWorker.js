@@ -0,0 +1,28 @@
+// analysisWorker.js
+// Runs analyzeImageData off the main thread (module worker).
+// In:  { id, width, height, buffer, options } — `buffer` is the transferred ImageData pixels
+// Out: { type: "ready" } once the module has loaded,
+//      { id, type: "progress", fraction, stage } while running, then
+//      { id, type: "done", result } with the labels (and match error) buffers transferred, or { id, type: "error", message }
+import { analyzeImageData } from "./imageProcessing.js";
+
+self.onmessage = (event) => {
+  const { id, width, height, buffer, options } = event.data || {};
+  try {
+    const data = new Uint8ClampedArray(buffer);
+    let lastFraction = -1, lastStage = "";
+    const result = analyzeImageData({ data, width, height }, options, (fraction, stage) => {
+      // Skip tiny steps so the main thread is not flooded with messages
+      if (stage === lastStage && fraction - lastFraction < 0.01) return;
+      lastFraction = fraction;
+      lastStage = stage;
+      self.postMessage({ id, type: "progress", fraction, stage });
+    });
+    const transfer = [result.labels, result.matchError].filter(Boolean).map(arr => arr.buffer);
+    self.postMessage({ id, type: "done", result }, transfer);
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err?.message || String(err) });
+  }
+};
+
+self.postMessage({ type: "ready" });
@@ -1,9 +1,19 @@
-import { analyzeImage, rgbToLab, deltaE76 } from "./imageProcessing.js";
-import { computeYarnConstants, computeYarnForClusters } from "./calculation.js";
+import { analyzeImageData, analyzeIslands, readImagePixels, deltaEScale } from "./imageProcessing.js";
+import {
+	computeYarnConstants, computeYarnWithRange, yarnGramsPerMeter, calibrateFromSwatch, estimateMaterials,
+	estimateFinishedWeight, estimatePackedSize, quoteShipping, estimateTuftingTime, priceCommission,
+	solveMaxRugSize, punchNeedle, aggregateYarnUsage, planSkeinPurchase, defaultWorkingSpeed
+} from "./calculation.js";
+import { validatePalette, paletteColorYarnSpec } from "./palette.js";
+import { readPaletteFile, writePaletteFile, PROCREATE_MAX_SWATCHES } from "./paletteFormats.js";
 import {
 	loadLastSettings, saveLastSettings, clearLastSettings,
 	loadPresets, savePreset, deletePreset,
-	loadColorPalettes, saveColorPalette, deleteColorPalette
+	loadGunProfiles, saveGunProfile, deleteGunProfile,
+	loadColorPalettes, saveColorPalette, deleteColorPalette,
+	loadCalibrations, saveCalibration, deleteCalibration,
+	loadShippingRates, saveShippingRate, deleteShippingRate,
+	loadInventory, saveInventory
 } from "./storage.js";
 
 const CM_PER_IN = 2.54;
@@ -13,7 +23,63 @@ const G_PER_OZ = 28.349523125;
 const KG_PER_LB = 0.45359237;
 const G_PER_LB = KG_PER_LB * 1000;
 const CM2_PER_FT2 = 929.0304;
+const CM3_PER_IN3 = 16.387064;
+const M2_PER_YD2 = M_PER_YD * M_PER_YD;
 const DEFAULT_UNIT_SYSTEM = "metric";
+const RUG_SHAPE_LABELS = {
+	rectangle: "Rectangle",
+	circle: "Circle",
+	oval: "Oval",
+	arch: "Arch",
+	alpha: "Image outline (transparency)",
+};
+const TECHNIQUE_LABELS = {
+	tufting: "Tufting gun",
+	punch: "Punch needle",
+	latch: "Latch hook",
+};
+const WORKING_SPEED_LABELS = {
+	tufting: "Gun speed (stitches per minute)",
+	punch: "Punching speed (loops per minute)",
+	latch: "Hooking speed (knots per minute)",
+};
+const QUOTE_TITLES = {
+	tufting: "Hand-tufted rug",
+	punch: "Punch needle rug",
+	latch: "Latch hook rug",
+};
+// Analysis pixel budgets: "Auto" resolution (and any analysis without a worker), and the
+// hard cap for explicit factors
+const ANALYSIS_AUTO_MAX_PIXELS = 4000000;
+const ANALYSIS_MAX_PIXELS = 24000000;
+// Built-in gun profiles (metric): typical pile height, line spacing and stitch length, with the
+// range the gun covers; `typical` is what selecting the profile fills in
+const GUN_PROFILES = [
+	{
+		id: "cut-pile", name: "Cut pile gun", pileType: "cut",
+		pileHeightMm: { min: 7, max: 21, typical: 15 },
+		linesPerCm: { min: 3, max: 4, typical: 3.5 },
+		stitchesPerCm: { min: 2.5, max: 4.5, typical: 3.5 }
+	},
+	{
+		id: "loop-pile", name: "Loop pile gun", pileType: "loop",
+		pileHeightMm: { min: 5, max: 18, typical: 10 },
+		linesPerCm: { min: 3.5, max: 4.5, typical: 4 },
+		stitchesPerCm: { min: 3, max: 5, typical: 4 }
+	},
+	{
+		id: "cut-loop", name: "Cut & loop gun", pileType: "cut", note: "Switches between cut and loop pile.",
+		pileHeightMm: { min: 10, max: 25, typical: 15 },
+		linesPerCm: { min: 3, max: 4, typical: 3.5 },
+		stitchesPerCm: { min: 2.5, max: 4, typical: 3 }
+	},
+	{
+		id: "punch-needle", name: "Punch needle", technique: "punch", pileType: "loop",
+		pileHeightMm: { min: 3, max: 12, typical: 6 },
+		linesPerCm: { min: 2, max: 3, typical: 2.5 },
+		stitchesPerCm: { min: 1.5, max: 3, typical: 2.5 }
+	}
+];
 
 const UNIT_CONVERSIONS = {
 	rugLength: {
@@ -60,6 +126,31 @@ const UNIT_CONVERSIONS = {
 		metric: { toMetric: (v) => v, fromMetric: (v) => v, label: "cm²", decimals: 2, csv: "cm2" },
 		imperial: { toMetric: (v) => v * CM2_PER_FT2, fromMetric: (v) => v / CM2_PER_FT2, label: "ft²", decimals: 2, csv: "ft2" }
 	},
+	materialArea: {
+		metric: { fromMetric: (v) => v, label: "m²", decimals: 2, csv: "m2" },
+		imperial: { fromMetric: (v) => v / M2_PER_YD2, label: "yd²", decimals: 2, csv: "yd2" }
+	},
+	pricePerArea: {
+		metric: { toMetric: (v) => v, fromMetric: (v) => v, label: "per m²", decimals: 2, csv: "per_m2" },
+		imperial: { toMetric: (v) => v / M2_PER_YD2, fromMetric: (v) => v * M2_PER_YD2, label: "per yd²", decimals: 2, csv: "per_yd2" }
+	},
+	pricePerLength: {
+		metric: { toMetric: (v) => v, fromMetric: (v) => v, label: "per m", decimals: 2, csv: "per_m" },
+		imperial: { toMetric: (v) => v / M_PER_YD, fromMetric: (v) => v * M_PER_YD, label: "per yd", decimals: 2, csv: "per_yd" }
+	},
+	coverage: {
+		metric: { toMetric: (v) => v, fromMetric: (v) => v, label: "g per m²", decimals: 0, csv: "g_per_m2" },
+		imperial: { toMetric: (v) => (v * G_PER_OZ) / M2_PER_YD2, fromMetric: (v) => (v * M2_PER_YD2) / G_PER_OZ, label: "oz per yd²", decimals: 1, csv: "oz_per_yd2" }
+	},
+	shippingWeight: {
+		metric: { toMetric: (v) => v, fromMetric: (v) => v, label: "kg", decimals: 2, csv: "kg" },
+		imperial: { toMetric: (v) => v * KG_PER_LB, fromMetric: (v) => v / KG_PER_LB, label: "lb", decimals: 2, csv: "lb" }
+	},
+	// Volumetric weight divisor: box volume per unit of chargeable weight
+	dimDivisor: {
+		metric: { toMetric: (v) => v, fromMetric: (v) => v, label: "cm³ per kg", decimals: 0, csv: "cm3_per_kg" },
+		imperial: { toMetric: (v) => (v * CM3_PER_IN3) / KG_PER_LB, fromMetric: (v) => (v * KG_PER_LB) / CM3_PER_IN3, label: "in³ per lb", decimals: 1, csv: "in3_per_lb" }
+	},
 	yarnTotalLength: {
 		metric: { fromMetric: (v) => v, label: "m", decimals: 2, csv: "m" },
 		imperial: { fromMetric: (v) => v / M_PER_YD, label: "yd", decimals: 2, csv: "yd" }
@@ -82,6 +173,8 @@ const LABEL_TEXT = {
 	"pile-height-label": { metric: "Pile height (mm)", imperial: "Pile height (in)" },
 	"lines-per-label": { metric: "Lines per cm", imperial: "Lines per in" },
 	"stitches-per-label": { metric: "Stitches per cm", imperial: "Stitches per in" },
+	"mesh-count-label": { metric: "Mesh (holes per cm)", imperial: "Mesh (holes per in)" },
+	"piece-length-label": { metric: "Piece length (mm)", imperial: "Piece length (in)" },
 	"yarn-weight-label": {
 		metric: "Yarn weight (g per meter, single strand)",
 		imperial: "Yarn weight (oz per yard, single strand)"
@@ -96,7 +189,32 @@ const LABEL_TEXT = {
 	"helper-length-label": { metric: "Label length (m)", imperial: "Label length (yd)" },
 	"helper-weight-label": { metric: "Label weight (g)", imperial: "Label weight (oz)" },
 	"helper-mass-length-label": { metric: "m per 100 g", imperial: "yd per lb" },
-	"min-area-label": { metric: "Minimum color area (cm²)", imperial: "Minimum color area (ft²)" }
+	"min-area-label": { metric: "Minimum color area (cm²)", imperial: "Minimum color area (ft²)" },
+	"color-yarn-weight-label": { metric: "Yarn g per m", imperial: "Yarn oz per yd" },
+	"color-yarn-length-label": { metric: "or m per kg", imperial: "or yd per lb" },
+	"color-yarn-price-label": { metric: "Price per kg", imperial: "Price per lb" },
+	"color-pile-height-label": { metric: "Pile height (mm)", imperial: "Pile height (in)" },
+	"cal-width-label": { metric: "Swatch width (cm)", imperial: "Swatch width (in)" },
+	"cal-height-label": { metric: "Swatch height (cm)", imperial: "Swatch height (in)" },
+	"cal-pile-height-label": { metric: "Pile height (mm)", imperial: "Pile height (in)" },
+	"cal-yarn-weight-label": {
+		metric: "Yarn g per m (empty = project yarn)",
+		imperial: "Yarn oz per yd (empty = project yarn)"
+	},
+	"cal-grams-label": { metric: "Yarn used (g)", imperial: "Yarn used (oz)" },
+	"frame-margin-label": { metric: "Frame margin per side (cm)", imperial: "Frame margin per side (in)" },
+	"primary-price-label": { metric: "Primary cloth price (per m²)", imperial: "Primary cloth price (per yd²)" },
+	"backing-overlap-label": { metric: "Backing overlap per side (cm)", imperial: "Backing overlap per side (in)" },
+	"backing-price-label": { metric: "Secondary backing price (per m²)", imperial: "Secondary backing price (per yd²)" },
+	"glue-coverage-label": { metric: "Glue / latex (g per m²)", imperial: "Glue / latex (oz per yd²)" },
+	"glue-price-label": { metric: "Glue price (per kg)", imperial: "Glue price (per lb)" },
+	"binding-price-label": { metric: "Binding price (per m)", imperial: "Binding price (per yd)" },
+	"primary-weight-label": { metric: "Primary cloth weight (g per m²)", imperial: "Primary cloth weight (oz per yd²)" },
+	"backing-weight-label": { metric: "Secondary backing weight (g per m²)", imperial: "Secondary backing weight (oz per yd²)" },
+	"shipping-divisor-label": { metric: "Volumetric divisor (cm³ per kg)", imperial: "Volumetric divisor (in³ per lb)" },
+	"shipping-brackets-label": { metric: "Up to weight (kg): price", imperial: "Up to weight (lb): price" },
+	"hourly-rate-label": { metric: "Hourly rate (€)", imperial: "Hourly rate ($)" },
+	"stash-total-label": { metric: "Total yarn on hand (g)", imperial: "Total yarn on hand (oz)" }
 };
 
 document.addEventListener("DOMContentLoaded", () => {
@@ -105,10 +223,15 @@ document.addEventListener("DOMContentLoaded", () => {
 	const imageInput = document.getElementById("image-input");
 	const colorTolerance = document.getElementById("color-tolerance");
 	const colorToleranceValue = document.getElementById("color-tolerance-value");
+	const colorToleranceField = document.getElementById("color-tolerance-field");
+	const quantizationModeEl = document.getElementById("quantization-mode");
+	const colorCountEl = document.getElementById("color-count");
+	const colorCountField = document.getElementById("color-count-field");
 	const previewCanvas = document.getElementById("preview-canvas");
 	const previewPlaceholder = document.getElementById("preview-placeholder");
 	const resultsSummary = document.getElementById("results-summary");
 	const resultsColors = document.getElementById("results-colors");
+	const resultsYarns = document.getElementById("results-yarns");
 	const labelEls = {};
 	Object.keys(LABEL_TEXT).forEach((key) => {
 		labelEls[key] = document.querySelector(`[data-label="${key}"]`);
@@ -122,12 +245,23 @@ document.addEventListener("DOMContentLoaded", () => {
 	const rugWidthEl = document.getElementById("rug-width");
 	const rugHeightEl = document.getElementById("rug-height");
 	const lockAspectEl = document.getElementById("lock-aspect");
+	const rugShapeEl = document.getElementById("rug-shape");
 	const unitSystemEl = document.getElementById("unit-system");
+	const techniqueEl = document.getElementById("technique");
+	const techniqueFields = document.querySelectorAll("[data-technique]");
+	const needleSizeEl = document.getElementById("needle-size");
+	const meshCountEl = document.getElementById("mesh-count");
+	const pieceLengthEl = document.getElementById("piece-length");
 	const pileTypeEl = document.getElementById("pile-type");
 	const pileHeightEl = document.getElementById("pile-height");
 	const densityPresetEl = document.getElementById("density-preset");
 	const linesPerCmEl = document.getElementById("lines-per-cm");
 	const stitchesPerCmEl = document.getElementById("stitches-per-cm");
+	const gunProfileSelectEl = document.getElementById("gun-profile-select");
+	const gunProfileDeleteBtn = document.getElementById("gun-profile-delete-button");
+	const gunProfileHintEl = document.getElementById("gun-profile-hint");
+	const gunProfileNameEl = document.getElementById("gun-profile-name");
+	const gunProfileSaveBtn = document.getElementById("gun-profile-save-button");
 
 	// Yarn inputs
 	const yarnNameEl = document.getElementById("yarn-name");
@@ -135,6 +269,10 @@ document.addEventListener("DOMContentLoaded", () => {
 	const yarnGPerMEl = document.getElementById("yarn-g-per-m");
 	const yarnMPerKgEl = document.getElementById("yarn-m-per-kg");
 	const wastagePercentEl = document.getElementById("wastage-percent");
+	const densityUncertaintyEl = document.getElementById("density-uncertainty");
+	const pileUncertaintyEl = document.getElementById("pile-uncertainty");
+	const wastageUncertaintyEl = document.getElementById("wastage-uncertainty");
+	const uncertaintyInputs = [densityUncertaintyEl, pileUncertaintyEl, wastageUncertaintyEl];
 	const yarnPricePerKgEl = document.getElementById("yarn-price-per-kg");
 	const skeinWeightEl = document.getElementById("skein-weight-g");
 	const skeinPriceEl = document.getElementById("skein-price");
@@ -143,6 +281,8 @@ document.addEventListener("DOMContentLoaded", () => {
 	// Analysis inputs
 	const alphaThresholdEl = document.getElementById("alpha-threshold");
 	const minAreaEl = document.getElementById("min-area");
+	const absorbIslandsEl = document.getElementById("absorb-islands");
+	const deltaEMetricEl = document.getElementById("delta-e-metric");
 
 	// Persistence UI
 	const rememberEl = document.getElementById("remember-settings");
@@ -151,6 +291,77 @@ document.addEventListener("DOMContentLoaded", () => {
 	const presetSelectEl = document.getElementById("preset-select");
 	const deletePresetBtn = document.getElementById("delete-preset-button");
 
+	// Calibration UI
+	const calibrationSelectEl = document.getElementById("calibration-select");
+	const calibrationDeleteBtn = document.getElementById("calibration-delete-button");
+	const calibrationSaveBtn = document.getElementById("calibration-save-button");
+	const calibrationResultEl = document.getElementById("calibration-result");
+	const calGunEl = document.getElementById("cal-gun");
+	const calYarnEl = document.getElementById("cal-yarn");
+	const calWidthEl = document.getElementById("cal-width");
+	const calHeightEl = document.getElementById("cal-height");
+	const calPileTypeEl = document.getElementById("cal-pile-type");
+	const calPileHeightEl = document.getElementById("cal-pile-height");
+	const calStrandsEl = document.getElementById("cal-strands");
+	const calGPerMEl = document.getElementById("cal-g-per-m");
+	const calGramsEl = document.getElementById("cal-grams");
+
+	// Backing & finishing materials
+	const frameMarginEl = document.getElementById("frame-margin");
+	const primaryClothPriceEl = document.getElementById("primary-cloth-price");
+	const backingOverlapEl = document.getElementById("backing-overlap");
+	const backingPriceEl = document.getElementById("backing-price");
+	const glueCoverageEl = document.getElementById("glue-coverage");
+	const gluePriceEl = document.getElementById("glue-price");
+	const bindingWasteEl = document.getElementById("binding-waste");
+	const bindingPriceEl = document.getElementById("binding-price");
+	const materialInputs = [
+		frameMarginEl, primaryClothPriceEl, backingOverlapEl, backingPriceEl,
+		glueCoverageEl, gluePriceEl, bindingWasteEl, bindingPriceEl
+	];
+	const resultsMaterials = document.getElementById("results-materials");
+
+	// Maximum rug size from yarn on hand
+	const stashTotalEl = document.getElementById("stash-total");
+	const maxSizeColorsEl = document.getElementById("max-size-colors");
+	const maxSizeResultEl = document.getElementById("max-size-result");
+	const maxSizeApplyBtn = document.getElementById("max-size-apply-button");
+
+	// Scenario comparison
+	const scenarioNameEl = document.getElementById("scenario-name");
+	const scenarioAddBtn = document.getElementById("scenario-add-button");
+	const scenarioCompareEl = document.getElementById("scenario-compare");
+	const scenarioExportBtn = document.getElementById("scenario-export-button");
+
+	// Vendor comparison
+	const vendorComparePalettesEl = document.getElementById("vendor-compare-palettes");
+	const vendorGoodDeltaEEl = document.getElementById("vendor-good-delta-e");
+	const vendorCompareBtn = document.getElementById("vendor-compare-button");
+	const vendorCompareEl = document.getElementById("vendor-compare");
+
+	// Finished weight & shipping
+	const shearingLossEl = document.getElementById("shearing-loss");
+	const glueSolidsEl = document.getElementById("glue-solids");
+	const primaryClothWeightEl = document.getElementById("primary-cloth-weight");
+	const backingWeightEl = document.getElementById("backing-weight");
+	const shippingRateSelectEl = document.getElementById("shipping-rate-select");
+	const shippingRateDeleteBtn = document.getElementById("shipping-rate-delete-button");
+	const shippingRateNameEl = document.getElementById("shipping-rate-name");
+	const shippingRateDivisorEl = document.getElementById("shipping-rate-divisor");
+	const shippingRateBracketsEl = document.getElementById("shipping-rate-brackets");
+	const shippingRateSaveBtn = document.getElementById("shipping-rate-save-button");
+	const shippingInputs = [shearingLossEl, glueSolidsEl, primaryClothWeightEl, backingWeightEl];
+
+	// Commission quote
+	const gunSpeedEl = document.getElementById("gun-speed");
+	const gunSpeedLabelEl = document.getElementById("gun-speed-label");
+	const finishingHoursEl = document.getElementById("finishing-hours");
+	const hourlyRateEl = document.getElementById("hourly-rate");
+	const overheadPercentEl = document.getElementById("overhead-percent");
+	const marginPercentEl = document.getElementById("margin-percent");
+	const quoteClientEl = document.getElementById("quote-client");
+	const quoteInputs = [gunSpeedEl, finishingHoursEl, hourlyRateEl, overheadPercentEl, marginPercentEl];
+
 	// Yarn helper elements
 	const yhLenM = document.getElementById("yh-length-m");
 	const yhWtG = document.getElementById("yh-weight-g");
@@ -163,7 +374,12 @@ document.addEventListener("DOMContentLoaded", () => {
 	// Preview controls
 	const overlayModeEl = document.getElementById("overlay-mode");
 	const overlayDimEl = document.getElementById("overlay-dim");
+	const overlayHeatmapHintEl = document.getElementById("overlay-heatmap-hint");
 	const analysisResEl = document.getElementById("analysis-resolution");
+	const analysisProgressEl = document.getElementById("analysis-progress");
+	const analysisProgressBar = document.getElementById("analysis-progress-bar");
+	const analysisProgressLabel = document.getElementById("analysis-progress-label");
+	const analysisCancelBtn = document.getElementById("analysis-cancel-button");
 	const legendEl = document.getElementById("legend");
 	const previewReadout = document.getElementById("preview-readout");
 	const finalPreviewCanvas = document.getElementById("final-preview-canvas");
@@ -172,6 +388,7 @@ document.addEventListener("DOMContentLoaded", () => {
 	// Palette inputs
 	const paletteEnabledEl = document.getElementById("palette-enabled");
 	const paletteNameEl = document.getElementById("palette-name");
+	const paletteMaxColorsEl = document.getElementById("palette-max-colors");
 	const paletteListEl = document.getElementById("palette-list");
 	const paletteAddBtn = document.getElementById("palette-add-color");
 	const paletteSelectEl = document.getElementById("palette-select");
@@ -179,10 +396,16 @@ document.addEventListener("DOMContentLoaded", () => {
 	const paletteDeleteBtn = document.getElementById("palette-delete-button");
 	const paletteImportBtn = document.getElementById("palette-import-button");
 	const paletteExportBtn = document.getElementById("palette-export-button");
+	const paletteExportFormatEl = document.getElementById("palette-export-format");
 	const paletteImportInput = document.getElementById("palette-import-file");
 	const paletteBuiltinSelectEl = document.getElementById("palette-builtin-select");
 	const paletteBuiltinLoadBtn = document.getElementById("palette-builtin-load");
 
+	// Yarn inventory
+	const inventoryListEl = document.getElementById("inventory-list");
+	const inventoryAddBtn = document.getElementById("inventory-add-button");
+	const inventoryAddPaletteBtn = document.getElementById("inventory-add-palette-button");
+
 
 
 	let appState = {
@@ -194,22 +417,53 @@ document.addEventListener("DOMContentLoaded", () => {
 	let paletteState = {
 		enabled: false,
 		name: "",
-		colors: []
+		vendor: "",
+		currency: "", // prices in the palette's colors are in this currency (empty: as entered)
+		colors: []     // [{ name, hex, ...shop data }] (see palette.js)
 	};
 	let builtinPalettes = [];
+	// Yarn on hand, persisted on every edit (see storage.js)
+	let inventory = loadInventory(); // [{ name, hex, grams }]
 	// Holds the latest computed color rows for interaction (rename/merge/export)
 	let lastPerColor = [];
 	// Track user selection of color indices (by their order in lastPerColor)
 	let selectedColorIdxs = new Set();
 	// Optional user-given names for colors (persist only for this session)
 	let colorNames = new Map(); // key: hex string, value: name
-
-
+	// Optional per-color yarn specs overriding the project yarn (session only)
+	let colorYarnSpecs = new Map(); // key: hex string, value: { yarnGPerM, yarnMPerKg, strands, yarnPricePerKg }
+	// Optional per-color pile (sculpted / carved regions), same lifetime as above
+	let colorPileSpecs = new Map(); // key: hex string, value: { pileType, pileHeightMm }
+	// Optional strand blends (heathered colors), same lifetime as above
+	let colorBlends = new Map(); // key: hex string, value: [{ hex, name, strands }]
+	// Yarn constants of the last analysis, reused when per-color yarn changes
+	let lastYarnConstants = null;
+	// Backing, glue and binding estimate for the last analysis (see estimateMaterials)
+	let lastMaterials = null;
+	// Yarn on hand per color for the max-size solver (session only)
+	let colorOnHand = new Map(); // key: hex string, value: grams
+	// Latest solveMaxRugSize result, applied by "Use this size"
+	let lastMaxSize = null;
+	// Rug size the yarn rows were computed for; the form may have changed since
+	let analyzedRugSize = null;
+	// Named overrides on readForm(), compared on the analyzed colors (session only)
+	let scenarios = []; // [{ name, overrides }]
+
+
+	let sourceImage = null;        // decoded upload at natural size; analysis reads from this
 	let baseImageData = null;      // ImageData of the clean image in preview canvas
 	let analysisLabels = null;     // Int16Array of length w*h, mapping to kept cluster index or -1
-	let analysisSize = { width: 0, height: 0 }; // should match previewCanvas
+	let analysisSize = { width: 0, height: 0 }; // label map size (analysis resolution, not the preview)
+	let analysisErrorMap = null;   // Uint8Array of palette match ∆E per label pixel, or null
+	let analysisDeltaEMetric = "76"; // metric the error map was measured in
 	let hoverClusterIdx = -1;
 	let lastRenderPayload = null;
+	let previewLabelIndexCache = null; // { key, map } preview pixel -> label index
+	let analysisWorker = null;     // lazily created; terminated on cancel
+	let analysisWorkerFailed = false; // module workers unsupported -> analyze on the main thread
+	let analysisWorkerLoaded = false; // a worker script has loaded, so module workers do work here
+	let analysisJob = null;        // { id, resolve, reject, readPixels, options } while analyzing
+	let analysisJobSeq = 0;
 
 
 	/* --------------------------- UI Mode handling --------------------------- */
@@ -226,6 +480,33 @@ document.addEventListener("DOMContentLoaded", () => {
 		});
 	});
 
+	// Fields list the techniques they apply to in data-technique
+	let currentTechnique = null;
+	function setTechnique(technique) {
+		techniqueEl.value = TECHNIQUE_LABELS[technique] ? technique : "tufting";
+		techniqueFields.forEach((el) => {
+			el.style.display = el.dataset.technique.split(" ").includes(techniqueEl.value) ? "" : "none";
+		});
+		// The working speed follows the technique unless it was set by hand
+		const speed = posNumOrUndef(gunSpeedEl.value);
+		if (speed === undefined || (currentTechnique && speed === defaultWorkingSpeed(currentTechnique))) {
+			gunSpeedEl.value = String(defaultWorkingSpeed(techniqueEl.value));
+		}
+		if (gunSpeedLabelEl) gunSpeedLabelEl.textContent = WORKING_SPEED_LABELS[techniqueEl.value];
+		currentTechnique = techniqueEl.value;
+	}
+	setTechnique(techniqueEl.value);
+	techniqueEl.addEventListener("change", () => {
+		setTechnique(techniqueEl.value);
+		maybeAutosave();
+	});
+
+	// The needle sets the loop height; it stays editable for adjustable needles
+	needleSizeEl.addEventListener("change", () => {
+		setFieldFromMetric(pileHeightEl, punchNeedle(needleSizeEl.value).loopHeightMm, "pileHeight");
+		maybeAutosave();
+	});
+
 	setUnitSystem(unitSystemEl?.value || DEFAULT_UNIT_SYSTEM, { convertExistingValues: false, skipRefresh: true });
 	unitSystemEl?.addEventListener("change", () => {
 		setUnitSystem(unitSystemEl.value);
@@ -236,12 +517,14 @@ document.addEventListener("DOMContentLoaded", () => {
 	imageInput.addEventListener("change", (event) => {
 		const file = event.target.files && event.target.files[0];
 		if (!file) return;
+		cancelAnalysis();
 
 		const reader = new FileReader();
 		reader.onload = (loadEvent) => {
 			const img = new Image();
 			img.onload = () => {
-				appState.imageNatural = { w: img.width, h: img.height };
+				appState.imageNatural = { w: img.naturalWidth || img.width, h: img.naturalHeight || img.height };
+				sourceImage = img;
 
 				const ctx = previewCanvas.getContext("2d");
 				const maxWidth = 600, maxHeight = 400;
@@ -257,6 +540,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
 				baseImageData = ctx.getImageData(0, 0, width, height);
 				analysisLabels = null; // reset labels until next analysis
+				analysisErrorMap = null;
 				analysisSize = { width, height };
 
 				previewCanvas.style.display = "block";
@@ -264,14 +548,21 @@ document.addEventListener("DOMContentLoaded", () => {
 
 				appState.imageLoaded = true;
 				analyzeButton.disabled = false;
+				vendorCompareBtn.disabled = false;
+				lastVendorComparison = null;
+				renderVendorComparison();
 
 				resultsSummary.innerHTML = "<p>Ready to analyze. Click “Analyze image”.</p>";
 				resultsColors.innerHTML = "";
 				lastPerColor = [];
 				selectedColorIdxs.clear();
 				lastRenderPayload = null;
+				lastMaterials = null;
+				renderMaterials(resultsMaterials, lastMaterials);
+				renderMaxSizeSolver();
 				renderLegend(legendEl, lastPerColor);
 				resetFinalPreview();
+				drawOverlay();
 			};
 			img.src = loadEvent.target.result;
 		};
@@ -284,13 +575,25 @@ document.addEventListener("DOMContentLoaded", () => {
 		maybeAutosave();
 	});
 
+	function setQuantizationMode(mode) {
+		const kmeans = mode === "kmeans";
+		quantizationModeEl.value = kmeans ? "kmeans" : "tolerance";
+		colorToleranceField.style.display = kmeans ? "none" : "flex";
+		colorCountField.style.display = kmeans ? "flex" : "none";
+	}
+	quantizationModeEl.addEventListener("change", () => {
+		setQuantizationMode(quantizationModeEl.value);
+		maybeAutosave();
+	});
+
 	// Watch most inputs for autosave
 	[
-		rugWidthEl, rugHeightEl, lockAspectEl, pileTypeEl, pileHeightEl,
-		densityPresetEl, linesPerCmEl, stitchesPerCmEl,
+		rugWidthEl, rugHeightEl, lockAspectEl, rugShapeEl, pileTypeEl, pileHeightEl,
+		densityPresetEl, linesPerCmEl, stitchesPerCmEl, meshCountEl, pieceLengthEl,
 		yarnNameEl, yarnStrandsEl, yarnGPerMEl, yarnMPerKgEl,
 		yarnPricePerKgEl, skeinWeightEl, skeinPriceEl,
-		wastagePercentEl, alphaThresholdEl, minAreaEl,
+		wastagePercentEl, ...uncertaintyInputs, alphaThresholdEl, minAreaEl, absorbIslandsEl, colorCountEl, deltaEMetricEl,
+		paletteMaxColorsEl, ...materialInputs, ...shippingInputs, ...quoteInputs,
 		rememberEl
 	].forEach(el => el && el.addEventListener("input", maybeAutosave));
 
@@ -318,15 +621,18 @@ document.addEventListener("DOMContentLoaded", () => {
 		const file = event.target.files?.[0];
 		if (!file) return;
 		try {
-			const text = await file.text();
-			const parsed = JSON.parse(text);
-			if (!parsed || !Array.isArray(parsed.colors)) throw new Error("Invalid palette file.");
-			applyPaletteDataFromSource(parsed, { autoEnable: true });
-			alert(`Loaded palette “${parsed.name || "Imported palette"}” from file.`);
+			const data = await readPaletteFile(file.name, await file.arrayBuffer());
+			const { palette, errors, warnings } = validatePalette(data);
+			if (errors.length) {
+				alert(`Could not import this palette file:\n${errors.join("\n")}`);
+				return;
+			}
+			applyPaletteDataFromSource(palette, { autoEnable: true });
+			alert(`Loaded palette “${palette.name || "Imported palette"}” from file.${describePaletteWarnings(warnings)}`);
 			maybeAutosave();
 		} catch (err) {
 			console.error(err);
-			alert("Could not import this palette file. Please verify it is a valid JSON export.");
+			alert(`Could not import this palette file. ${err?.message || "Please verify its format."}`);
 		} finally {
 			if (paletteImportInput) paletteImportInput.value = "";
 		}
@@ -338,18 +644,25 @@ document.addEventListener("DOMContentLoaded", () => {
 			alert("Add at least one valid color before exporting.");
 			return;
 		}
-		const payload = {
+		const format = paletteExportFormatEl?.value || "json";
+		const palette = {
 			name: paletteState.name || "My Palette",
+			vendor: paletteState.vendor,
+			currency: paletteState.currency,
 			colors
 		};
-		const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
+		const { data, type, extension } = writePaletteFile(palette, format);
+		const blob = new Blob([data], { type });
 		const a = document.createElement("a");
 		a.href = URL.createObjectURL(blob);
-		const safeName = (payload.name || "palette").replace(/[^\w\-]+/g, "_");
-		a.download = `${safeName}.palette.json`;
+		const safeName = (palette.name || "palette").replace(/[^\w\-]+/g, "_");
+		a.download = `${safeName}${extension}`;
 		document.body.appendChild(a);
 		a.click();
 		a.remove();
+		if (format === "swatches" && colors.length > PROCREATE_MAX_SWATCHES) {
+			alert(`Procreate palettes hold ${PROCREATE_MAX_SWATCHES} swatches: only the first ${PROCREATE_MAX_SWATCHES} of ${colors.length} colors were exported.`);
+		}
 	});
 
 	paletteListEl?.addEventListener("input", (event) => {
@@ -392,7 +705,7 @@ document.addEventListener("DOMContentLoaded", () => {
 			alert("Add at least one valid color (with a hex code) before saving.");
 			return;
 		}
-		saveColorPalette(name, colors);
+		saveColorPalette(name, colors, { vendor: paletteState.vendor, currency: paletteState.currency });
 		populatePaletteSelect();
 		alert(`Saved palette “${name}”.`);
 	});
@@ -403,7 +716,8 @@ document.addEventListener("DOMContentLoaded", () => {
 		const palettes = loadColorPalettes();
 		const match = palettes.find(p => p.name === name);
 		if (!match) return;
-		applyPaletteDataFromSource(match, { autoEnable: true });
+		const { palette } = validatePalette(match);
+		if (palette) applyPaletteDataFromSource(palette, { autoEnable: true });
 	});
 
 	paletteBuiltinLoadBtn?.addEventListener("click", () => {
@@ -547,6 +861,7 @@ document.addEventListener("DOMContentLoaded", () => {
 	let isUpdatingRugSize = false;
 
 	lockAspectEl.addEventListener("change", () => {
+		updateMaxSize();
 		if (lockAspectEl.checked) {
 			// When turning on, if we have an image and one dimension is set, recompute the other
 			if (appState.imageNatural.w > 0 && appState.imageNatural.h > 0) {
@@ -601,9 +916,14 @@ document.addEventListener("DOMContentLoaded", () => {
 	});
 
 
+	// The preview shows the rug outline, which follows the shape and its proportions
+	rugShapeEl?.addEventListener("change", () => drawOverlay());
+	rugWidthEl.addEventListener("input", () => drawOverlay());
+	rugHeightEl.addEventListener("input", () => drawOverlay());
+
 	/* ----------------------------- Analyze click --------------------------- */
-	analyzeButton.addEventListener("click", () => {
-		if (!appState.imageLoaded) return;
+	analyzeButton.addEventListener("click", async () => {
+		if (!appState.imageLoaded || analysisJob) return;
 
 		// Read params
 		const params = readForm();
@@ -622,59 +942,80 @@ document.addEventListener("DOMContentLoaded", () => {
 			return;
 		}
 
-		// Optionally re-draw image at a specific resolution for analysis
-		const ctx = previewCanvas.getContext("2d");
-		let restoreAfter = null;
-		const chosen = analysisResEl.value;
-		if (chosen !== "auto") {
-			const factor = Number(chosen);
-			if (Number.isFinite(factor) && factor > 0 && factor <= 1) {
-				// Save current preview
-				const saved = ctx.getImageData(0, 0, previewCanvas.width, previewCanvas.height);
-				restoreAfter = saved;
-
-				const newW = Math.max(1, Math.round(appState.imageNatural.w * Math.min(600 / appState.imageNatural.w, 1) * factor));
-				const newH = Math.max(1, Math.round(appState.imageNatural.h * Math.min(400 / appState.imageNatural.h, 1) * factor));
-				const imgBitmap = createImageBitmap(dataURLToBlob(imageInput.files[0]));
-				previewCanvas.width = newW;
-				previewCanvas.height = newH;
-				ctx.clearRect(0, 0, newW, newH);
-				ctx.drawImage(imgBitmap, 0, 0, newW, newH);
-				baseImageData = ctx.getImageData(0, 0, newW, newH);
-				analysisSize = { width: newW, height: newH };
+		// 1) Color analysis + palette remap, on the natural-size image (not the preview canvas)
+		let result;
+		try {
+			result = await runAnalysis(({ width, height }) => readImagePixels(sourceImage, width, height), {
+				...analysisOptions(params),
+				paletteColors: paletteActive ? paletteColors : null,
+			});
+		} catch (err) {
+			if (err?.name === "AbortError") {
+				resultsSummary.innerHTML = "<p>Analysis cancelled.</p>";
+			} else {
+				alert(`Analysis failed: ${err?.message || err}`);
 			}
+			return;
 		}
 
-		// Helper converts file dataURL to Blob
-		function dataURLToBlob(file) { return file; }
+		const { clusters: workingClusters, dropped, totals, labels, size, matchError, paletteStats } = result;
+		analysisLabels = labels;
+		analysisSize = size;
+		analysisErrorMap = matchError || null;
+		analysisDeltaEMetric = params.deltaEMetric;
+
+
+		// 2) Yarn constants
+		lastYarnConstants = yarnConstantsFor(params);
+		analyzedRugSize = { widthCm: params.rugWidthCm, heightCm: params.rugHeightCm };
+
+		// 3) Yarn per color
+		const yarn = computeYarnWithRange(withColorYarnSpecs(workingClusters), lastYarnConstants, params.uncertainty);
+		// Keep interactive data
+		lastPerColor = yarn.perColor;
+		selectedColorIdxs.clear();
+
+		// 4) Render
+		lastMaterials = computeMaterials(params, totals);
+		const payload = { clusters: workingClusters, totals, dropped, paletteStats, constants: lastYarnConstants, yarn };
+		lastRenderPayload = payload;
+		renderSummary(resultsSummary, payload);
+		renderYarnTable(resultsColors, yarn.perColor);
+		renderMaterials(resultsMaterials, lastMaterials);
+
+		renderLegend(legendEl, lastPerColor);
+		renderFinalPreviewCanvas();
+		drawOverlay(); // respect current overlay mode
+		updateActionButtons();
+
 
+	});
 
-		// 1) Color analysis
-		const result = analyzeImage(previewCanvas, {
+	// analyzeImageData options for a set of settings (palette matching is up to the caller)
+	function analysisOptions(params) {
+		return {
 			alphaThreshold: params.alphaThreshold,
+			quantization: params.quantization,
 			tolerance: params.tolerance,
+			deltaEMetric: params.deltaEMetric,
+			colorCount: params.colorCount,
 			minAreaCm2: params.minAreaCm2,
 			rugWidthCm: params.rugWidthCm,
 			rugHeightCm: params.rugHeightCm,
-		});
-
-		const { clusters, dropped, totals, labels, size } = result;
-		let workingClusters = clusters;
-		let remappedLabels = labels;
-		if (paletteActive) {
-			const remap = remapClustersToPalette(clusters, labels, paletteColors);
-			if (remap) {
-				workingClusters = remap.clusters;
-				remappedLabels = remap.labels;
-			}
-		}
-		analysisLabels = remappedLabels;
-		analysisSize = size;
-
+			absorbIslands: params.absorbIslands,
+			paletteMaxColors: params.paletteMaxColors,
+			shape: params.rugShape,
+		};
+	}
 
-		// 2) Yarn constants
+	// Yarn constants for a set of settings, with the price per kg taken from the skein when not given
+	function yarnConstantsFor(params) {
 		const constants = computeYarnConstants({
-			mode: appState.mode,
+			technique: params.technique,
+			needleSize: params.needleSize,
+			meshPerCm: params.meshPerCm,
+			pieceLengthMm: params.pieceLengthMm,
+			mode: params.mode,
 			densityPreset: params.densityPreset,
 			linesPerCm: params.linesPerCm,
 			stitchesPerCm: params.stitchesPerCm,
@@ -684,6 +1025,7 @@ document.addEventListener("DOMContentLoaded", () => {
 			wastagePercent: params.wastagePercent,
 			yarnGPerM: params.yarnGPerM,
 			yarnMPerKg: params.yarnMPerKg,
+			densityFactor: params.densityFactor,
 		});
 
 		let pricePerKg = undefined;
@@ -691,39 +1033,118 @@ document.addEventListener("DOMContentLoaded", () => {
 			pricePerKg = params.yarnPricePerKg;
 		} else if (params.skeinWeightG && params.skeinPrice && params.skeinWeightG > 0) {
 			// price/kg = (price / weight_g) * 1000
-			pricePerKg = (skeinPrice / skeinWeightG) * 1000;
+			pricePerKg = (params.skeinPrice / params.skeinWeightG) * 1000;
 		}
+		return { ...constants, pricePerKg, skeinWeightG: params.skeinWeightG };
+	}
 
-		// 3) Yarn per color
-		const yarn = computeYarnForClusters(workingClusters, { ...constants, pricePerKg });
-		// Keep interactive data
-		lastPerColor = yarn.perColor;
-		selectedColorIdxs.clear();
+	analysisCancelBtn?.addEventListener("click", () => cancelAnalysis());
 
-		// 4) Render
-		const payload = { clusters: workingClusters, totals, dropped, constants, yarn };
-		renderSummary(resultsSummary, payload);
-		lastRenderPayload = payload;
-		renderYarnTable(resultsColors, yarn.perColor);
+	/* --------------------------- Analysis worker --------------------------- */
+	// Analysis works on the natural-size image, scaled by the chosen factor and capped in pixels.
+	// Without a worker the analysis blocks the page, so it stays within the auto budget.
+	function getAnalysisDimensions(onPage = analysisWorkerFailed || typeof Worker === "undefined") {
+		const { w, h } = appState.imageNatural;
+		const chosen = analysisResEl.value;
+		const factor = Number(chosen);
+		const maxPixels = chosen === "auto" || onPage ? ANALYSIS_AUTO_MAX_PIXELS : ANALYSIS_MAX_PIXELS;
+		const scale = Math.min(
+			Number.isFinite(factor) && factor > 0 && factor <= 1 ? factor : 1,
+			Math.sqrt(maxPixels / (w * h))
+		);
+		return { width: Math.max(1, Math.round(w * scale)), height: Math.max(1, Math.round(h * scale)) };
+	}
 
-		if (restoreAfter) {
-			// restore canvas size back to saved dimensions
-			const oldW = restoreAfter.width, oldH = restoreAfter.height;
-			previewCanvas.width = oldW;
-			previewCanvas.height = oldH;
-			const rctx = previewCanvas.getContext("2d");
-			rctx.putImageData(restoreAfter, 0, 0);
-			baseImageData = rctx.getImageData(0, 0, oldW, oldH);
-			analysisSize = { width: oldW, height: oldH };
+	// Run analyzeImageData in a worker so large images do not freeze the page.
+	// `readPixels({ width, height })` returns fresh ImageData at that size (its buffer is transferred away).
+	// Resolves with the analysis result; rejects with an AbortError when cancelled.
+	function runAnalysis(readPixels, options) {
+		const worker = getAnalysisWorker();
+		if (!worker) {
+			return Promise.resolve(analyzeImageData(readPixels(getAnalysisDimensions(true)), options));
 		}
+		const { data, width, height } = readPixels(getAnalysisDimensions());
+		return new Promise((resolve, reject) => {
+			analysisJob = { id: ++analysisJobSeq, resolve, reject, readPixels, options };
+			showAnalysisProgress(0, "Starting");
+			worker.postMessage({ id: analysisJob.id, width, height, buffer: data.buffer, options }, [data.buffer]);
+		});
+	}
 
-		renderLegend(legendEl, lastPerColor);
-		renderFinalPreviewCanvas();
-		drawOverlay(); // respect current overlay mode
-		updateActionButtons();
+	function getAnalysisWorker() {
+		if (analysisWorker) return analysisWorker;
+		if (analysisWorkerFailed || typeof Worker === "undefined") return null;
+		try {
+			analysisWorker = new Worker(new URL("./analysisWorker.js", import.meta.url), { type: "module" });
+		} catch {
+			analysisWorkerFailed = true;
+			return null;
+		}
+		analysisWorker.onmessage = (event) => {
+			const msg = event.data || {};
+			if (msg.type === "ready") {
+				analysisWorkerLoaded = true;
+				return;
+			}
+			if (!analysisJob || msg.id !== analysisJob.id) return;
+			if (msg.type === "progress") {
+				showAnalysisProgress(msg.fraction, msg.stage);
+				return;
+			}
+			const job = finishAnalysisJob();
+			if (msg.type === "done") job.resolve(msg.result);
+			else job.reject(new Error(msg.message || "Analysis failed"));
+		};
+		analysisWorker.onerror = (event) => {
+			// The worker script could not load or crashed (e.g. out of memory): finish this job on
+			// the main thread within the auto budget. Only a script that never loaded means
+			// workers are unusable here; after a crash the next analysis gets a fresh worker.
+			event.preventDefault?.();
+			analysisWorker?.terminate();
+			analysisWorker = null;
+			if (!analysisWorkerLoaded) analysisWorkerFailed = true;
+			const job = finishAnalysisJob();
+			if (!job) return;
+			try {
+				job.resolve(analyzeImageData(job.readPixels(getAnalysisDimensions(true)), job.options));
+			} catch (err) {
+				job.reject(err);
+			}
+		};
+		return analysisWorker;
+	}
 
+	function finishAnalysisJob() {
+		const job = analysisJob;
+		analysisJob = null;
+		hideAnalysisProgress();
+		return job;
+	}
 
-	});
+	function cancelAnalysis() {
+		if (!analysisJob) return;
+		// A busy worker cannot read messages, so stop it; the next analysis starts a fresh one
+		analysisWorker?.terminate();
+		analysisWorker = null;
+		finishAnalysisJob().reject(new DOMException("Analysis cancelled", "AbortError"));
+	}
+
+	function showAnalysisProgress(fraction, stage) {
+		if (!analysisProgressEl) return;
+		analysisProgressEl.hidden = false;
+		analyzeButton.disabled = true;
+		vendorCompareBtn.disabled = true;
+		const pct = Math.round(Math.max(0, Math.min(1, fraction || 0)) * 100);
+		analysisProgressBar.value = pct;
+		analysisProgressLabel.textContent = `${stage || "Analyzing"}… ${pct}%`;
+	}
+
+	function hideAnalysisProgress() {
+		if (!analysisProgressEl) return;
+		analysisProgressEl.hidden = true;
+		analyzeButton.disabled = !appState.imageLoaded;
+		vendorCompareBtn.disabled = !appState.imageLoaded;
+	}
 
 	// Click inside the preview to select the color under the cursor
 	previewCanvas.addEventListener("click", (e) => {
@@ -738,8 +1159,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
 		if (x < 0 || y < 0 || x >= previewCanvas.width || y >= previewCanvas.height) return;
 
-		const idx = y * previewCanvas.width + x;
-		const cluster = analysisLabels[idx]; // -1 if transparent/unassigned
+		const cluster = analysisLabels[labelIndexAtPreview(x, y)]; // -1 if transparent/unassigned
 		if (cluster < 0) return;
 
 		// Toggle or single-select depending on Ctrl/Cmd
@@ -791,8 +1211,7 @@ document.addEventListener("DOMContentLoaded", () => {
 		// If analyzed, detect hovered cluster for highlight
 		let hovered = -1;
 		if (analysisLabels && lastPerColor?.length) {
-			const idx = y * previewCanvas.width + x;
-			const cl = analysisLabels[idx]; // -1 if transparent
+			const cl = analysisLabels[labelIndexAtPreview(x, y)]; // -1 if transparent
 			if (cl >= 0 && cl < lastPerColor.length) hovered = cl;
 		}
 
@@ -883,6 +1302,7 @@ document.addEventListener("DOMContentLoaded", () => {
 	  <input type="text" class="palette-row-hex" data-role="hex" placeholder="#FFAA00" value="${safeHex}" />
 	  <span class="palette-swatch" style="background:${swatch};"></span>
 	  <button type="button" class="palette-row-remove" data-action="remove" aria-label="Remove color ${idx + 1}">&times;</button>
+	  ${describePaletteColor(color) ? `<span class="palette-row-meta">${escapeHtml(describePaletteColor(color))}</span>` : ""}
 	</div>
       `;
 		}).join("");
@@ -896,12 +1316,14 @@ document.addEventListener("DOMContentLoaded", () => {
 			palettes.map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join("");
 	}
 
+	// Valid colors with their shop data, for matching, saving and export
 	function getPaletteColorsForAnalysis() {
 		return paletteState.colors
 			.map((color) => {
 				const normalized = normalizeHex(color.hex || "");
 				if (!normalized) return null;
 				return {
+					...color,
 					name: (color.name || "").trim(),
 					hex: normalized
 				};
@@ -909,14 +1331,39 @@ document.addEventListener("DOMContentLoaded", () => {
 			.filter(Boolean);
 	}
 
+	// "SKU 061 · wool · 0.45 g per m · 12.50 € / cone" for a palette color with shop data
+	function describePaletteColor(color) {
+		const currency = paletteState.currency ? ` ${paletteState.currency}` : "";
+		return [
+			color.sku ? `SKU ${color.sku}` : "",
+			color.fiber || "",
+			Number.isFinite(yarnGramsPerMeter(color))
+				? `${formatValueForDisplay(yarnGramsPerMeter(color), "yarnWeightSpec")} ${getUnitLabel("yarnWeightSpec")}`
+				: "",
+			color.coneWeightG ? `${formatValueForDisplay(color.coneWeightG, "skeinWeight")} ${getUnitLabel("skeinWeight")} cone` : "",
+			color.conePrice ? `${formatNumber(color.conePrice, 2)}${currency} / cone` : "",
+			color.pricePerKg ? `${formatNumber(color.pricePerKg, 2)}${currency} / kg` : ""
+		].filter(Boolean).join(" · ");
+	}
+
+	function describePaletteWarnings(warnings) {
+		if (!warnings?.length) return "";
+		const shown = warnings.slice(0, 8);
+		const more = warnings.length > shown.length ? `\n… and ${warnings.length - shown.length} more` : "";
+		return `\n\nSkipped:\n${shown.join("\n")}${more}`;
+	}
+
 	function normalizeHexForSwatch(value) {
 		return normalizeHex(value || "");
 	}
 
+	// `data` is a palette checked by validatePalette
 	function applyPaletteDataFromSource(data, { autoEnable = false } = {}) {
 		paletteState.name = data?.name || "";
+		paletteState.vendor = data?.vendor || "";
+		paletteState.currency = data?.currency || "";
 		paletteState.colors = Array.isArray(data?.colors)
-			? data.colors.map(c => ({ name: c.name || "", hex: c.hex || "" }))
+			? data.colors.map(c => ({ ...c, name: c.name || "", hex: c.hex || "" }))
 			: [];
 		if (paletteNameEl) paletteNameEl.value = paletteState.name;
 		if (autoEnable) {
@@ -948,16 +1395,19 @@ document.addEventListener("DOMContentLoaded", () => {
 			.map(p => `<option value="${escapeHtml(p.file)}">${escapeHtml(p.name)}</option>`)
 			.join("");
 		paletteBuiltinSelectEl.innerHTML = `<option value="">— Select built-in —</option>${options}`;
+		renderVendorPaletteChoices();
 	}
 
 	async function loadBuiltinPalette(file) {
 		try {
 			const res = await fetch(`palettes/${file}`, { cache: "no-store" });
 			if (!res.ok) throw new Error(`HTTP ${res.status}`);
-			const data = await res.json();
-			if (!data || !Array.isArray(data.colors)) throw new Error("Malformed palette file");
-			applyPaletteDataFromSource(data, { autoEnable: true });
-			alert(`Loaded predefined palette “${data.name || file}”.`);
+			const { palette, errors } = validatePalette(await res.json());
+			if (errors.length) throw new Error(`Malformed palette file: ${errors.join(" ")}`);
+			// The index names the vendor of a built-in palette
+			const vendor = palette.vendor || builtinPalettes.find(p => p.file === file)?.name || "";
+			applyPaletteDataFromSource({ ...palette, vendor }, { autoEnable: true });
+			alert(`Loaded predefined palette “${palette.name || file}”.`);
 		} catch (err) {
 			console.error("Failed to load built-in palette", err);
 			alert("Could not load this predefined palette. Please try another one.");
@@ -1028,6 +1478,23 @@ document.addEventListener("DOMContentLoaded", () => {
 	const renameBtn = document.getElementById("rename-color-button");
 	const mergeBtn = document.getElementById("merge-colors-button");
 	const exportPdfBtn = document.getElementById("export-pdf-button");
+	const exportQuoteBtn = document.getElementById("export-quote-button");
+	const shoppingCsvBtn = document.getElementById("shopping-csv-button");
+	const shoppingPdfBtn = document.getElementById("shopping-pdf-button");
+	const inventoryDeductBtn = document.getElementById("inventory-deduct-button");
+	const colorYarnGPerMEl = document.getElementById("color-yarn-g-per-m");
+	const colorYarnMPerKgEl = document.getElementById("color-yarn-m-per-kg");
+	const colorYarnStrandsEl = document.getElementById("color-yarn-strands");
+	const colorYarnPriceEl = document.getElementById("color-yarn-price-per-kg");
+	const colorYarnApplyBtn = document.getElementById("color-yarn-apply-button");
+	const colorYarnClearBtn = document.getElementById("color-yarn-clear-button");
+	const colorPileTypeEl = document.getElementById("color-pile-type");
+	const colorPileHeightEl = document.getElementById("color-pile-height");
+	const colorPileApplyBtn = document.getElementById("color-pile-apply-button");
+	const colorPileClearBtn = document.getElementById("color-pile-clear-button");
+	const colorBlendInputEl = document.getElementById("color-blend-input");
+	const colorBlendApplyBtn = document.getElementById("color-blend-apply-button");
+	const colorBlendClearBtn = document.getElementById("color-blend-clear-button");
 
 	exportPdfBtn.addEventListener("click", () => {
 		if (!lastPerColor.length) {
@@ -1042,6 +1509,24 @@ document.addEventListener("DOMContentLoaded", () => {
 		}
 	});
 
+	inventoryDeductBtn.addEventListener("click", () => {
+		if (!lastPerColor.length) return;
+		deductProjectFromInventory();
+	});
+
+	exportQuoteBtn.addEventListener("click", () => {
+		if (!lastPerColor.length) {
+			alert("No results to quote. Analyze an image first.");
+			return;
+		}
+		try {
+			exportQuotePDF();
+		} catch (e) {
+			console.error(e);
+			alert("Quote export failed. See console for details.");
+		}
+	});
+
 
 	exportCsvBtn.addEventListener("click", () => {
 		if (!lastPerColor.length) {
@@ -1108,12 +1593,18 @@ document.addEventListener("DOMContentLoaded", () => {
 				target.yarnCost += src.yarnCost;
 			}
 
-			// Remove source (and its optional name)
+			// Remove source (and its optional name / yarn)
 			colorNames.delete(src.hex);
+			colorYarnSpecs.delete(src.hex);
+			colorPileSpecs.delete(src.hex);
 			lastPerColor.splice(idx, 1);
 		}
 
+		// The merged area now uses the target's yarn and pile
+		recomputeYarnRows();
+
 		const updatedTargetIdx = updateLabelsAfterMerge(targetIdx, removedIndices);
+		refreshIslandStats(lastPerColor, analysisLabels, analysisSize, lastRenderPayload?.totals?.areaPerPixel);
 
 		// Reset selection to the (now-updated) target only
 		selectedColorIdxs.clear();
@@ -1133,121 +1624,1734 @@ document.addEventListener("DOMContentLoaded", () => {
 		refreshSummaryAfterManualChange();
 	});
 
-	function refreshSummaryAfterManualChange() {
-		// Recompute totals from lastPerColor
-		const totalLen = lastPerColor.reduce((s, c) => s + (c.yarnLength_m || 0), 0);
-		const totalW = lastPerColor.reduce((s, c) => s + (c.yarnWeightWithWaste_g || 0), 0);
-		const totalA = lastPerColor.reduce((s, c) => s + (c.areaCm2 || 0), 0);
-		const totalCost = lastPerColor.reduce((s, c) => s + (c.yarnCost || 0), 0);
+	colorYarnApplyBtn.addEventListener("click", () => {
+		const selection = [...selectedColorIdxs];
+		if (!selection.length) { alert("Select one or more color rows first."); return; }
+		const spec = readColorYarnForm();
+		if (!spec) {
+			alert("Enter at least one yarn value (weight, length, strands or price) for the selected colors.");
+			return;
+		}
+		selection.forEach(idx => {
+			const hex = lastPerColor[idx]?.hex;
+			if (hex) colorYarnSpecs.set(hex, spec);
+		});
+		recomputeYarnRows();
+	});
 
-		// Keep previously computed pixel/area box stats if available
-		// We can derive some from the canvas if needed; simplest is to keep last known.
-		const prevTotals = lastRenderPayload?.totals || {};
-		const fallbackPixels = (analysisLabels ? analysisLabels.length - (analysisLabels.filter(v => v < 0).length) : 0);
-		const fauxTotals = {
-			...prevTotals,
-			pixelsValid: prevTotals.pixelsValid ?? fallbackPixels,
-			boxAreaCm2: prevTotals.boxAreaCm2 ?? 0,
-			areaCm2: totalA
-		};
+	colorYarnClearBtn.addEventListener("click", () => {
+		const selection = [...selectedColorIdxs];
+		if (!selection.length) { alert("Select one or more color rows first."); return; }
+		selection.forEach(idx => {
+			const hex = lastPerColor[idx]?.hex;
+			if (hex) colorYarnSpecs.delete(hex);
+		});
+		recomputeYarnRows();
+	});
 
-		const fauxYarn = {
-			perColor: lastPerColor,
-			totals: {
-				totalArea_cm2: totalA,
-				totalLength_m: totalLen,
-				totalWeightWithWaste_g: totalW,
-				totalCost: totalCost
-			}
+	colorPileApplyBtn.addEventListener("click", () => {
+		const selection = [...selectedColorIdxs];
+		if (!selection.length) { alert("Select one or more color rows first."); return; }
+		const heightInput = posNumOrUndef(colorPileHeightEl.value);
+		const spec = {
+			pileType: colorPileTypeEl.value || undefined,
+			pileHeightMm: heightInput !== undefined ? convertDisplayToMetric("pileHeight", heightInput) : undefined
 		};
+		if (spec.pileType === undefined && spec.pileHeightMm === undefined) {
+			alert("Choose a pile type or enter a pile height for the selected colors.");
+			return;
+		}
+		selection.forEach(idx => {
+			const hex = lastPerColor[idx]?.hex;
+			if (hex) colorPileSpecs.set(hex, spec);
+		});
+		recomputeYarnRows();
+	});
 
-		const payload = {
-			clusters: lastPerColor, // close enough for count
-			totals: fauxTotals,
-			dropped: [],
-			constants: null,
-			yarn: fauxYarn
+	colorPileClearBtn.addEventListener("click", () => {
+		const selection = [...selectedColorIdxs];
+		if (!selection.length) { alert("Select one or more color rows first."); return; }
+		selection.forEach(idx => {
+			const hex = lastPerColor[idx]?.hex;
+			if (hex) colorPileSpecs.delete(hex);
+		});
+		recomputeYarnRows();
+	});
+
+	function readColorYarnForm() {
+		const gPerM = posNumOrUndef(colorYarnGPerMEl.value);
+		const mPerKg = posNumOrUndef(colorYarnMPerKgEl.value);
+		const price = posNumOrUndef(colorYarnPriceEl.value);
+		const spec = {
+			yarnGPerM: gPerM !== undefined ? convertDisplayToMetric("yarnWeightSpec", gPerM) : undefined,
+			yarnMPerKg: mPerKg !== undefined ? convertDisplayToMetric("yarnLengthSpec", mPerKg) : undefined,
+			strands: posNumOrUndef(colorYarnStrandsEl.value) !== undefined ? intDef(colorYarnStrandsEl.value, 1) : undefined,
+			yarnPricePerKg: price !== undefined ? convertDisplayToMetric("pricePerMass", price) : undefined
 		};
+		return Object.values(spec).some(v => v !== undefined) ? spec : null;
+	}
 
-		// Render with minimal viable args
-		renderSummary(resultsSummary, payload);
-		lastRenderPayload = payload;
+	// Yarn of a row: its palette color's shop data, with any values set by hand on top.
+	// Blend components get the same lookup for their own yarn.
+	function withColorYarnSpecs(clusters) {
+		return clusters.map(c => {
+			const ownSpec = colorYarnSpecs.get(c.hex);
+			// Only rows matched to a palette color use its data
+			const paletteSpec = Number.isFinite(c.matchDeltaE) ? paletteYarnSpecFor(c.hex) : null;
+			return {
+				...c,
+				yarnSpec: mergeYarnSpecs(paletteSpec, ownSpec),
+				yarnSpecSource: ownSpec ? "custom" : paletteSpec ? "palette" : undefined,
+				pileSpec: colorPileSpecs.get(c.hex),
+				blend: colorBlends.get(c.hex)?.map(part => ({
+					...part,
+					yarnSpec: mergeYarnSpecs(paletteYarnSpecFor(part.hex), ownYarnSpecFor(part.hex))
+				}))
+			};
+		});
 	}
 
+	// Yarn set by hand on the row of this color (row hex case may differ from a blend part's)
+	function ownYarnSpecFor(hex) {
+		const key = normalizeHex(hex || "");
+		return [...colorYarnSpecs].find(([rowHex]) => normalizeHex(rowHex) === key)?.[1];
+	}
 
-	function buildCsv(perColor) {
-		const areaUnitSlug = getUnitCsvLabel("area");
-		const lengthUnitSlug = getUnitCsvLabel("yarnTotalLength");
-		const weightUnitSlug = getUnitCsvLabel("yarnWeightResult");
-		const currencyCode = getCurrencyCode().toLowerCase();
-		const header = [
-			"color_hex",
-			"color_name",
-			"percent_of_valid",
-			`area_${areaUnitSlug}`,
-			`yarn_${lengthUnitSlug}`,
-			`weight_${weightUnitSlug}_incl_waste`,
-			`cost_${currencyCode}`,
-			"pixels"
-		].join(",");
+	function mergeYarnSpecs(paletteSpec, ownSpec) {
+		const ownValues = Object.fromEntries(Object.entries(ownSpec || {}).filter(([, v]) => v !== undefined));
+		return paletteSpec ? { ...paletteSpec, ...ownValues } : ownSpec;
+	}
 
-		const rows = perColor.map(c => [
-			c.hex,
-			csvEscape(getColorDisplayName(c) || ""),
-			numFmt(c.percentValid, 2),
-			numFmt(convertMetricToDisplay("area", c.areaCm2), 2),
-			numFmt(convertMetricToDisplay("yarnTotalLength", c.yarnLength_m), 2),
-			numFmt(convertMetricToDisplay("yarnWeightResult", c.yarnWeightWithWaste_g), 2),
-			numFmt(c.yarnCost, 2),
-			String(c.pixelCount)
-		].join(","));
+	// Shop data of the palette color with this hex; prices in another currency are left out
+	function paletteYarnSpecFor(hex) {
+		const key = normalizeHex(hex || "");
+		const color = paletteState.colors.find(p => normalizeHex(p.hex || "") === key);
+		const withPrice = !paletteState.currency || paletteState.currency === getCurrencyCode();
+		return paletteColorYarnSpec(color, { withPrice });
+	}
 
-		// Optional totals row
-		const totalLen = perColor.reduce((s, c) => s + c.yarnLength_m, 0);
-		const totalW = perColor.reduce((s, c) => s + c.yarnWeightWithWaste_g, 0);
-		const totalA = perColor.reduce((s, c) => s + c.areaCm2, 0);
-		const totalCost = perColor.reduce((s, c) => s + (c.yarnCost || 0), 0);
+	colorBlendApplyBtn.addEventListener("click", () => {
+		const selection = [...selectedColorIdxs];
+		if (!selection.length) { alert("Select one or more color rows first."); return; }
+		const { parts, invalid } = parseBlend(colorBlendInputEl.value);
+		if (invalid.length) {
+			alert(`Could not find these yarns in the palette or inventory (use “name × strands” or a hex code):\n${invalid.join("\n")}`);
+			return;
+		}
+		if (!parts.length) {
+			alert("List the yarns of the blend, e.g. “Red × 1, Pink × 1”.");
+			return;
+		}
+		selection.forEach(idx => {
+			const hex = lastPerColor[idx]?.hex;
+			if (hex) colorBlends.set(hex, parts);
+		});
+		recomputeYarnRows();
+	});
 
-		rows.push([
-			"TOTAL",
-			"",
-			"",
-			numFmt(convertMetricToDisplay("area", totalA), 2),
-			numFmt(convertMetricToDisplay("yarnTotalLength", totalLen), 2),
-			numFmt(convertMetricToDisplay("yarnWeightResult", totalW), 2),
-			numFmt(totalCost, 2),
-			""
-		].join(","));
+	colorBlendClearBtn.addEventListener("click", () => {
+		const selection = [...selectedColorIdxs];
+		if (!selection.length) { alert("Select one or more color rows first."); return; }
+		selection.forEach(idx => {
+			const hex = lastPerColor[idx]?.hex;
+			if (hex) colorBlends.delete(hex);
+		});
+		recomputeYarnRows();
+	});
 
-		return [header, ...rows].join("\n");
+	// "Red × 1, Pink × 2, #FFC0CB": names match palette then inventory yarns (case-insensitive),
+	// a missing count means one strand
+	function parseBlend(text) {
+		const yarns = [...paletteState.colors, ...inventory];
+		const parts = [], invalid = [];
+		String(text || "").split(",").map(t => t.trim()).filter(Boolean).forEach(token => {
+			const m = token.match(/^(.*?)\s*(?:[×x*]\s*(\d+))?$/i);
+			const label = (m?.[1] || "").trim();
+			const strands = m?.[2] ? Number(m[2]) : 1;
+			const named = yarns.find(y => (y.name || "").trim().toLowerCase() === label.toLowerCase() && normalizeHex(y.hex || ""));
+			const hex = named ? normalizeHex(named.hex) : normalizeHex(label);
+			if (hex && strands >= 1) parts.push({ hex, name: named?.name?.trim() || "", strands });
+			else invalid.push(token);
+		});
+		return { parts, invalid };
 	}
 
-	function numFmt(x, d) {
-		const n = Number(x);
-		return Number.isFinite(n) ? n.toFixed(d) : "";
+	// Ranges follow their settings without a new analysis
+	uncertaintyInputs.forEach(el => el?.addEventListener("input", () => recomputeYarnRows()));
+
+	// Re-run the yarn math on the current rows (after per-color yarn/pile edits, merges or new ranges)
+	function recomputeYarnRows() {
+		if (!lastYarnConstants || !lastPerColor.length) return;
+		const yarn = computeYarnWithRange(withColorYarnSpecs(lastPerColor), lastYarnConstants, readForm().uncertainty);
+		lastPerColor = yarn.perColor;
+		renderYarnTable(resultsColors, lastPerColor);
+		renderLegend(legendEl, lastPerColor);
+		refreshSummaryAfterManualChange(yarn.totals);
 	}
-	function csvEscape(s) {
-		if (s.includes(",") || s.includes("\"") || s.includes("\n")) {
-			return `"${s.replace(/"/g, '""')}"`;
-		}
-		return s;
+
+	function describeColorYarn(c) {
+		const gpm = c.yarnGPerM_single ?? yarnGramsPerMeter(c.yarnSpec);
+		if (!Number.isFinite(gpm)) return "";
+		const strands = c.blendParts?.length
+			? c.blendParts.map(p => `${p.name || p.hex.toUpperCase()} ×${p.strands}`).join(" + ")
+			: c.yarnStrands ?? "";
+		const spec = `${formatValueForDisplay(gpm, "yarnWeightSpec")} ${getUnitLabel("yarnWeightSpec")} × ${strands}`;
+		if (!c.yarnOverridden) return spec;
+		return c.yarnSpecSource === "palette" ? `${spec} (palette)` : `${spec} (custom)`;
 	}
 
+	// Physical yarns to buy when some colors are blends (see aggregateYarnUsage), else null
+	function projectYarns(perColor = lastPerColor) {
+		if (!perColor.some(c => c.blendParts?.length)) return null;
+		return aggregateYarnUsage(
+			perColor.map(c => ({ ...c, name: getColorDisplayName(c) })),
+			{ skeinWeightG: lastYarnConstants?.skeinWeightG }
+		);
+	}
 
-	/* ------------------------------ Presets UI ----------------------------- */
-	savePresetBtn.addEventListener("click", () => {
-		const name = (presetNameEl.value || "").trim();
-		if (!name) {
-			alert("Choose a preset name first.");
+	function renderProjectYarns(container) {
+		const yarns = projectYarns();
+		if (!yarns) {
+			container.innerHTML = "";
 			return;
 		}
-		const settings = serializeSettingsForPreset();
-		savePreset(name, settings);
-		populatePresetSelect();
-		alert(`Saved preset “${name}”.`);
-	});
-
-	presetSelectEl.addEventListener("change", () => {
+		const weightUnit = getUnitLabel("yarnWeightResult");
+		const currencySymbol = getCurrencySymbol();
+		const fmtCost = (v) => v > 0 ? Number(v).toLocaleString(undefined, { maximumFractionDigits: 2 }) : "";
+		const showPlan = yarns.some(y => Number.isFinite(y.skeinsToBuy));
+		const showStock = yarns.some(y => inventoryGramsFor(y.hex) !== undefined);
+		container.innerHTML = `
+      <h3 style="margin:1rem 0 0.5rem;">Yarns to buy</h3>
+      <div style="overflow:auto;">
+	<table id="yarns-table" style="width:100%; border-collapse:collapse;">
+	  <thead>
+	    <tr>
+	      <th style="text-align:left; border-bottom:1px solid #eee; padding-bottom:6px;">Yarn</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Used in</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Yarn (${getUnitLabel("yarnTotalLength")})</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Weight (${weightUnit}, incl. waste)</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Cost (${currencySymbol})</th>
+	      ${showPlan ? `
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Skeins to buy</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Purchase (${currencySymbol})</th>` : ""}
+	      ${showStock ? `
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">On hand (${weightUnit})</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Shortfall (${weightUnit})</th>` : ""}
+	    </tr>
+	  </thead>
+	  <tbody>
+	    ${yarns.map(y => `
+	    <tr>
+	      <td style="white-space:nowrap;">
+		<span class="swatch" style="background:${y.hex}; border:1px solid #ccc; width:18px; height:18px; display:inline-block; vertical-align:middle; margin-right:8px; border-radius:3px;"></span>
+		${y.hex.toUpperCase()} ${y.name ? `&nbsp;<em style="color:#555;">(${escapeHtml(y.name)})</em>` : ""}
+	      </td>
+	      <td style="text-align:right;">${y.usedBy.length} color${y.usedBy.length > 1 ? "s" : ""}</td>
+	      <td style="text-align:right;">${formatValueForDisplay(y.yarnLength_m, "yarnTotalLength")}</td>
+	      <td style="text-align:right;">${formatValueForDisplay(y.yarnWeightWithWaste_g, "yarnWeightResult")}</td>
+	      <td style="text-align:right;">${fmtCost(y.yarnCost)}</td>
+	      ${showPlan ? `
+	      <td style="text-align:right;">${y.skeinsToBuy ?? ""}</td>
+	      <td style="text-align:right;">${fmtCost(y.purchaseCost)}</td>` : ""}
+	      ${showStock ? stockCells(y) : ""}
+	    </tr>`).join("")}
+	  </tbody>
+	</table>
+      </div>
+    `;
+	}
+
+	// Latch hook knots have no pile setting; punch needle always makes loops
+	function describeColorPile(c) {
+		const technique = lastYarnConstants?.pile?.technique;
+		if (technique === "latch") return "";
+		if (!c?.pileType && !Number.isFinite(Number(c?.pileHeightMm))) return "";
+		const height = formatValueForDisplay(c.pileHeightMm, "pileHeight");
+		const type = technique === "punch" ? "loop" : c.pileType || "cut";
+		const spec = `${type}${height ? ` ${height} ${getUnitLabel("pileHeight")}` : ""}`;
+		return c.pileOverridden ? `${spec} (custom)` : spec;
+	}
+
+	// Pile for gun tufting, needle and loops for punch needle, mesh and pieces for latch hook
+	function describeTechnique(params) {
+		const pileUnit = getUnitLabel("pileHeight");
+		const height = params.pileHeightMm > 0 ? ` ${formatValueForDisplay(params.pileHeightMm, "pileHeight")} ${pileUnit}` : "";
+		if (params.technique === "latch") {
+			const mesh = params.meshPerCm > 0
+				? `${formatValueForDisplay(params.meshPerCm, "density")} holes per ${getUnitLabel("density")}`
+				: "3.75 mesh";
+			const piece = params.pieceLengthMm > 0
+				? `${formatValueForDisplay(params.pieceLengthMm, "pileHeight")} ${pileUnit} pieces`
+				: "2.5 in pieces";
+			return `latch hook, ${mesh}, ${piece}`;
+		}
+		if (params.technique === "punch") return `punch needle (${params.needleSize}), loops${height}`;
+		return `${params.pileType}${height}`;
+	}
+
+	/* ------------------------- Backing & finishing ------------------------- */
+	// Materials follow the rug box, and the real area/perimeter of its shape from the analysis
+	function computeMaterials(params, totals) {
+		if (!(params.rugWidthCm > 0 && params.rugHeightCm > 0)) return null;
+		return estimateMaterials({
+			widthCm: params.rugWidthCm,
+			heightCm: params.rugHeightCm,
+			areaCm2: totals?.shapeAreaCm2,
+			perimeterCm: totals?.perimeterCm,
+			frameMarginCm: params.frameMarginCm,
+			primaryPricePerM2: params.primaryPricePerM2,
+			backingOverlapCm: params.backingOverlapCm,
+			backingPricePerM2: params.backingPricePerM2,
+			glueGPerM2: params.glueGPerM2,
+			gluePricePerKg: params.gluePricePerKg,
+			bindingWastePercent: params.bindingWastePercent,
+			bindingPricePerM: params.bindingPricePerM,
+		});
+	}
+
+	// Re-estimate without re-analyzing when a material setting changes
+	materialInputs.forEach(el => el?.addEventListener("input", () => {
+		if (!lastRenderPayload) return;
+		lastMaterials = computeMaterials(readForm(), lastRenderPayload.totals);
+		renderMaterials(resultsMaterials, lastMaterials);
+		renderSummary(resultsSummary, lastRenderPayload);
+	}));
+
+	// One row per material: { label, size, quantity, unit, cost } in display units
+	function materialLineItems(materials) {
+		if (!materials) return [];
+		const rugUnit = getUnitLabel("rugLength");
+		const sheetSize = (m) => `${formatValueForDisplay(m.width_cm, "rugLength")} × ${formatValueForDisplay(m.height_cm, "rugLength")} ${rugUnit}`;
+		return [
+			{ label: "Primary tufting cloth", size: sheetSize(materials.primaryCloth), quantity: formatValueForDisplay(materials.primaryCloth.area_m2, "materialArea"), unit: getUnitLabel("materialArea"), cost: materials.primaryCloth.cost },
+			{ label: "Secondary backing", size: sheetSize(materials.secondaryBacking), quantity: formatValueForDisplay(materials.secondaryBacking.area_m2, "materialArea"), unit: getUnitLabel("materialArea"), cost: materials.secondaryBacking.cost },
+			{ label: "Glue / latex", size: "", quantity: formatValueForDisplay(materials.glue.weight_g, "yarnWeightResult"), unit: getUnitLabel("yarnWeightResult"), cost: materials.glue.cost },
+			{ label: "Binding / edge finishing", size: "", quantity: formatValueForDisplay(materials.binding.length_m, "yarnTotalLength"), unit: getUnitLabel("yarnTotalLength"), cost: materials.binding.cost },
+		];
+	}
+
+	function renderMaterials(container, materials) {
+		if (!container) return;
+		const items = materialLineItems(materials);
+		if (!items.length) {
+			container.innerHTML = "";
+			return;
+		}
+		const currencySymbol = getCurrencySymbol();
+		const fmtCost = (v) => v > 0 ? Number(v).toLocaleString(undefined, { maximumFractionDigits: 2 }) : "";
+		container.innerHTML = `
+      <h3 style="margin:1rem 0 0.5rem;">Backing &amp; finishing</h3>
+      <div style="overflow:auto;">
+	<table id="materials-table" style="width:100%; border-collapse:collapse;">
+	  <thead>
+	    <tr>
+	      <th style="text-align:left; border-bottom:1px solid #eee; padding-bottom:6px;">Material</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Cut size</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Quantity</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Cost (${currencySymbol})</th>
+	    </tr>
+	  </thead>
+	  <tbody>
+	    ${items.map(item => `
+	    <tr>
+	      <td>${item.label}</td>
+	      <td style="text-align:right; white-space:nowrap;">${item.size}</td>
+	      <td style="text-align:right; white-space:nowrap;">${item.quantity} ${item.unit}</td>
+	      <td style="text-align:right;">${fmtCost(item.cost)}</td>
+	    </tr>`).join("")}
+	  </tbody>
+	</table>
+      </div>
+    `;
+	}
+
+	/* --------------------------- Weight & shipping -------------------------- */
+	// Finished weight, rolled parcel and shipping quote for the last analysis (null before one)
+	// Sizes come from the analysis (not the form), so shipping matches the yarn rows
+	function computeShipping() {
+		if (!lastRenderPayload || !lastPerColor.length || !analyzedRugSize) return null;
+		const params = readForm();
+		const totals = lastRenderPayload.totals || {};
+		const weight = estimateFinishedWeight({
+			// Wastage never reaches the rug, so start from the yarn actually tufted
+			yarn_g: lastPerColor.reduce((s, c) => s + (c.yarnWeight_g || 0), 0),
+			shearingLossPercent: params.shearingLossPercent,
+			areaCm2: totals.shapeAreaCm2 ?? totals.boxAreaCm2,
+			primaryGPerM2: params.primaryGPerM2,
+			backingGPerM2: params.backingGPerM2,
+			glue_g: lastMaterials?.glue.weight_g,
+			glueSolidsPercent: params.glueSolidsPercent,
+		});
+		// Carved regions roll as thick as the tallest pile; the beginner baseline is 12 mm
+		const pileHeightMm = Math.max(lastYarnConstants?.pile?.pileHeightMm || 0, ...lastPerColor.map(c => c.pileHeightMm || 0)) || 12;
+		const packed = estimatePackedSize({ ...analyzedRugSize, pileHeightMm });
+		const table = getSelectedShippingRate();
+		const quote = table ? quoteShipping(table, { weight_g: weight.total_g, volume_cm3: packed.volume_cm3 }) : null;
+		return { weight, packed, table, quote };
+	}
+
+	// Display strings shared by the summary and the PDF
+	function describeShipping(shipping) {
+		if (!shipping) return null;
+		const { weight, packed, table, quote } = shipping;
+		const kg = (v) => `${formatValueForDisplay(v, "shippingWeight")} ${getUnitLabel("shippingWeight")}`;
+		const len = (v) => formatValueForDisplay(v, "rugLength", { decimals: 0 });
+		const lengthLabel = getUnitLabel("rugLength");
+		const lines = {
+			weight: `~${kg(weight.total_g / 1000)} (yarn ${kg(weight.yarn_g / 1000)}, backing cloths ${kg((weight.primary_g + weight.backing_g) / 1000)}, dry glue ${kg(weight.glue_g / 1000)})`,
+			packed: `roll Ø ${len(packed.rollDiameterCm)} × ${len(packed.rollLengthCm)} ${lengthLabel}`
+				+ ` (box ${len(packed.box.lengthCm)} × ${len(packed.box.widthCm)} × ${len(packed.box.heightCm)} ${lengthLabel})`,
+			shipping: ""
+		};
+		if (table && quote) {
+			const chargeable = `${quote.volumetricKg > quote.actualKg ? "volumetric" : "actual"} ${kg(quote.chargeableKg)}`;
+			lines.shipping = quote.price !== undefined
+				? `~${formatNumber(quote.price, 2)} ${getCurrencySymbol()} (${table.name}, ${chargeable})`
+				: `over the heaviest bracket of ${table.name} (${chargeable})`;
+		}
+		return lines;
+	}
+
+	function parseShippingBrackets(text, systemKey = getCurrentUnitSystemKey()) {
+		const brackets = [], invalid = [];
+		String(text || "").split(/\r?\n/).map(l => l.trim()).filter(Boolean).forEach(line => {
+			const m = line.match(/^([\d.,]+)\s*(?:[a-z]+)?\s*[:=]\s*([\d.,]+)/i);
+			const upTo = m ? Number(m[1].replace(",", ".")) : NaN;
+			const price = m ? Number(m[2].replace(",", ".")) : NaN;
+			if (upTo > 0 && price >= 0) brackets.push({ upToKg: convertDisplayToMetric("shippingWeight", upTo, systemKey), price });
+			else invalid.push(line);
+		});
+		return { brackets: brackets.sort((a, b) => a.upToKg - b.upToKg), invalid };
+	}
+
+	function formatShippingBrackets(brackets, systemKey = getCurrentUnitSystemKey()) {
+		return (brackets || [])
+			.map(b => `${formatNumber(convertMetricToDisplay("shippingWeight", b.upToKg, systemKey), 2)}: ${formatNumber(b.price, 2)}`)
+			.join("\n");
+	}
+
+	function fillShippingRateEditor(table) {
+		shippingRateNameEl.value = table?.name || "";
+		if (table?.divisor > 0) setFieldFromMetric(shippingRateDivisorEl, table.divisor, "dimDivisor");
+		else shippingRateDivisorEl.value = table ? "" : formatValueForDisplay(5000, "dimDivisor");
+		shippingRateBracketsEl.value = formatShippingBrackets(table?.brackets);
+	}
+
+	function populateShippingRateSelect() {
+		const current = shippingRateSelectEl.value;
+		const tables = loadShippingRates().sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+		shippingRateSelectEl.innerHTML = `<option value="">— No shipping estimate —</option>` +
+			tables.map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`).join("");
+		if (tables.some(t => t.id === current)) shippingRateSelectEl.value = current;
+	}
+
+	function getSelectedShippingRate() {
+		const id = shippingRateSelectEl.value;
+		if (!id) return null;
+		return loadShippingRates().find(t => t.id === id) || null;
+	}
+
+	function refreshShippingSummary() {
+		if (lastRenderPayload) renderSummary(resultsSummary, lastRenderPayload);
+	}
+
+	shippingInputs.forEach(el => el?.addEventListener("input", refreshShippingSummary));
+
+	shippingRateSelectEl.addEventListener("change", () => {
+		fillShippingRateEditor(getSelectedShippingRate());
+		refreshShippingSummary();
+		maybeAutosave();
+	});
+
+	shippingRateSaveBtn.addEventListener("click", () => {
+		const name = (shippingRateNameEl.value || "").trim();
+		if (!name) {
+			alert("Give the rate table a name.");
+			return;
+		}
+		const { brackets, invalid } = parseShippingBrackets(shippingRateBracketsEl.value);
+		if (invalid.length) {
+			alert(`Could not read these lines (use “weight: price”):\n${invalid.join("\n")}`);
+			return;
+		}
+		if (!brackets.length) {
+			alert("Add at least one “weight: price” line.");
+			return;
+		}
+		const saved = saveShippingRate({
+			id: shippingRateSelectEl.value || undefined,
+			name,
+			divisor: optionalMetric(shippingRateDivisorEl, "dimDivisor"),
+			brackets
+		});
+		populateShippingRateSelect();
+		shippingRateSelectEl.value = saved.id;
+		fillShippingRateEditor(saved);
+		refreshShippingSummary();
+		maybeAutosave();
+	});
+
+	shippingRateDeleteBtn.addEventListener("click", () => {
+		const table = getSelectedShippingRate();
+		if (!table) return;
+		if (!confirm(`Delete rate table “${table.name}”?`)) return;
+		deleteShippingRate(table.id);
+		populateShippingRateSelect();
+		shippingRateSelectEl.value = "";
+		fillShippingRateEditor(null);
+		refreshShippingSummary();
+		maybeAutosave();
+	});
+
+	/* ---------------------- Maximum size from yarn on hand -------------------- */
+	// One on-hand field per color, prefilled from the inventory; entries are kept per hex so they
+	// survive re-analysis and merges
+	function renderMaxSizeSolver() {
+		if (!lastPerColor.length) {
+			maxSizeColorsEl.innerHTML = "";
+			updateMaxSize();
+			return;
+		}
+		const unit = getUnitLabel("skeinWeight");
+		maxSizeColorsEl.innerHTML = `
+      <div class="field-group max-size-colors">
+	${lastPerColor.map((c, idx) => `
+	<label class="field">
+	  <span>
+	    <span class="swatch" style="background:${c.hex}; border:1px solid #ccc; width:12px; height:12px; display:inline-block; vertical-align:middle; margin-right:4px; border-radius:2px;"></span>
+	    ${escapeHtml(getColorDisplayName(c) || c.hex.toUpperCase())} (${unit})
+	  </span>
+	  <input type="number" min="0" step="1" data-row="${idx}" value="${formatValueForDisplay(colorOnHand.get(c.hex) ?? inventoryGramsFor(c.hex), "skeinWeight")}" />
+	</label>`).join("")}
+      </div>
+    `;
+		updateMaxSize();
+	}
+
+	maxSizeColorsEl.addEventListener("input", (e) => {
+		const input = e.target.closest("input[data-row]");
+		const c = input && lastPerColor[Number(input.getAttribute("data-row"))];
+		if (!c) return;
+		const grams = optionalMetric(input, "skeinWeight");
+		if (grams !== undefined) colorOnHand.set(c.hex, grams);
+		else colorOnHand.delete(c.hex);
+		updateMaxSize();
+	});
+
+	stashTotalEl.addEventListener("input", updateMaxSize);
+
+	// The yarn rows already carry computeYarnConstants' length per area, strands and wastage
+	function updateMaxSize() {
+		lastMaxSize = lastPerColor.length && analyzedRugSize ? solveMaxRugSize({
+			...analyzedRugSize,
+			perColor: lastPerColor,
+			availableG: lastPerColor.map(c => colorOnHand.get(c.hex) ?? inventoryGramsFor(c.hex)),
+			totalAvailableG: optionalMetric(stashTotalEl, "skeinWeight"),
+			lockAspect: lockAspectEl.checked,
+		}) : null;
+		maxSizeApplyBtn.disabled = !lastMaxSize;
+		maxSizeResultEl.textContent = lastMaxSize ? describeMaxSize(lastMaxSize) : "";
+	}
+
+	function describeMaxSize(result) {
+		const rugUnit = getUnitLabel("rugLength");
+		const weightUnit = getUnitLabel("skeinWeight");
+		const size = `${formatValueForDisplay(result.widthCm, "rugLength", { decimals: 1 })} × ${formatValueForDisplay(result.heightCm, "rugLength", { decimals: 1 })} ${rugUnit}`;
+		const limitingColor = lastPerColor[result.limiting];
+		const limit = limitingColor
+			? `${getColorDisplayName(limitingColor) || limitingColor.hex.toUpperCase()} runs out first`
+				+ ` (${formatValueForDisplay(result.colors[result.limiting].available_g, "skeinWeight")} ${weightUnit} on hand,`
+				+ ` ${formatValueForDisplay(result.colors[result.limiting].need_g, "skeinWeight")} ${weightUnit} needed at the analyzed size)`
+			: `the total runs out first (${formatValueForDisplay(result.total.available_g, "skeinWeight")} ${weightUnit} on hand,`
+				+ ` ${formatValueForDisplay(result.total.need_g, "skeinWeight")} ${weightUnit} needed at the analyzed size)`;
+		return `Up to ${size} (${formatNumber(result.areaScale * 100, 0)}% of the analyzed area): ${limit}.`;
+	}
+
+	maxSizeApplyBtn.addEventListener("click", () => {
+		if (!lastMaxSize) return;
+		isUpdatingRugSize = true;
+		setFieldFromMetric(rugWidthEl, lastMaxSize.widthCm, "rugLength");
+		setFieldFromMetric(rugHeightEl, lastMaxSize.heightCm, "rugLength");
+		isUpdatingRugSize = false;
+		maybeAutosave();
+		if (appState.imageLoaded) analyzeButton.click();
+	});
+
+	/* -------------------------- Scenario comparison -------------------------- */
+	// Settings a scenario keeps; shape, color grouping and ranges follow the form and the analysis
+	const SCENARIO_FIELDS = [
+		"mode", "rugWidthCm", "rugHeightCm",
+		"technique", "needleSize", "meshPerCm", "pieceLengthMm", "pileType", "pileHeightMm", "densityPreset", "linesPerCm", "stitchesPerCm", "calibrationId", "densityFactor",
+		"yarnName", "strands", "yarnGPerM", "yarnMPerKg", "yarnPricePerKg", "skeinWeightG", "skeinPrice", "wastagePercent",
+		"frameMarginCm", "primaryPricePerM2", "backingOverlapCm", "backingPricePerM2",
+		"glueGPerM2", "gluePricePerKg", "bindingWastePercent", "bindingPricePerM"
+	];
+
+	scenarioAddBtn.addEventListener("click", () => {
+		const params = readForm();
+		if (!(params.rugWidthCm > 0 && params.rugHeightCm > 0)) {
+			alert("Enter a positive rug width & height before saving a scenario.");
+			return;
+		}
+		const name = (scenarioNameEl.value || "").trim() || `Scenario ${scenarios.length + 1}`;
+		const scenario = { name, overrides: Object.fromEntries(SCENARIO_FIELDS.map(key => [key, params[key]])) };
+		// Saving under an existing name replaces that scenario, like presets
+		const idx = scenarios.findIndex(sc => sc.name === name);
+		if (idx >= 0) scenarios[idx] = scenario; else scenarios.push(scenario);
+		scenarioNameEl.value = "";
+		renderScenarioComparison();
+	});
+
+	scenarioCompareEl.addEventListener("click", (e) => {
+		const btn = e.target.closest("button[data-remove]");
+		if (!btn) return;
+		scenarios.splice(Number(btn.getAttribute("data-remove")), 1);
+		renderScenarioComparison();
+	});
+
+	scenarioExportBtn.addEventListener("click", () => {
+		const results = scenarios.map(computeScenario).filter(Boolean);
+		if (!results.length) {
+			alert("Analyze an image and save a scenario first.");
+			return;
+		}
+		const csv = buildScenarioCsv(results);
+		const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
+		const a = document.createElement("a");
+		a.href = URL.createObjectURL(blob);
+		a.download = "tufting-yarn-scenarios.csv";
+		document.body.appendChild(a);
+		a.click();
+		a.remove();
+	});
+
+	// Yarn and materials of one scenario on the analyzed colors. The design stretches to the
+	// scenario size, so each color keeps its share of the rug; per-color yarn and pile still apply.
+	function computeScenario(scenario) {
+		if (!lastPerColor.length || !analyzedRugSize) return null;
+		const params = { ...readForm(), ...scenario.overrides };
+		const areaScale = (params.rugWidthCm * params.rugHeightCm) / (analyzedRugSize.widthCm * analyzedRugSize.heightCm);
+		const clusters = withColorYarnSpecs(lastPerColor).map(c => ({ ...c, areaCm2: c.areaCm2 * areaScale }));
+		const yarn = computeYarnWithRange(clusters, yarnConstantsFor(params), params.uncertainty);
+		// Shape area scales with the rug; the perimeter with width + height (exact for rectangles)
+		const totals = lastRenderPayload?.totals || {};
+		const materials = computeMaterials(params, {
+			shapeAreaCm2: totals.shapeAreaCm2 * areaScale,
+			perimeterCm: totals.perimeterCm * (params.rugWidthCm + params.rugHeightCm) / (analyzedRugSize.widthCm + analyzedRugSize.heightCm)
+		});
+		const planned = hasPurchasePlan(yarn.perColor);
+		return { name: scenario.name, params, yarn, materials, planned, totalCost: yarnSpend(yarn.totals) + (materials?.totalCost || 0) };
+	}
+
+	function describeScenarioYarn(params) {
+		const gpm = yarnGramsPerMeter(params);
+		if (!Number.isFinite(gpm)) return `${params.strands} strands`;
+		return `${formatValueForDisplay(gpm, "yarnWeightSpec")} ${getUnitLabel("yarnWeightSpec")} × ${params.strands}`;
+	}
+
+	function renderScenarioComparison() {
+		const results = scenarios.map(computeScenario);
+		scenarioExportBtn.disabled = !results.some(Boolean);
+		if (!scenarios.length) {
+			scenarioCompareEl.innerHTML = "";
+			return;
+		}
+		if (!results.some(Boolean)) {
+			const count = `${scenarios.length} scenario${scenarios.length === 1 ? "" : "s"}`;
+			scenarioCompareEl.innerHTML = `<p class="hint">${count} saved; analyze an image to compare them.</p>`;
+			return;
+		}
+
+		const currencySymbol = getCurrencySymbol();
+		const weightUnit = getUnitLabel("yarnWeightResult");
+		const fmtCost = (v) => v > 0 ? Number(v).toLocaleString(undefined, { maximumFractionDigits: 2 }) : "";
+		const showPlan = results.some(r => r.planned);
+		const lines = [
+			[`Rug size (${getUnitLabel("rugLength")})`, r => `${formatValueForDisplay(r.params.rugWidthCm, "rugLength")} × ${formatValueForDisplay(r.params.rugHeightCm, "rugLength")}`],
+			["Yarn × strands", r => escapeHtml(describeScenarioYarn(r.params))],
+			["Technique / pile", r => escapeHtml(describeTechnique(r.params))],
+			[`Yarn (${getUnitLabel("yarnTotalLength")})`, r => formatValueForDisplay(r.yarn.totals.totalLength_m, "yarnTotalLength", { useLocale: true })],
+			[`Weight (${weightUnit}, incl. waste)`, r => formatValueForDisplay(r.yarn.totals.totalWeightWithWaste_g, "yarnWeightResult", { useLocale: true })],
+			[`Yarn cost (${currencySymbol})`, r => fmtCost(r.yarn.totals.totalCost)],
+			...(showPlan ? [
+				["Skeins to buy", r => r.planned ? String(r.yarn.totals.totalSkeins) : ""],
+				[`Purchase (${currencySymbol})`, r => r.planned ? fmtCost(r.yarn.totals.totalPurchaseCost) : ""]
+			] : []),
+			[`Materials (${currencySymbol})`, r => fmtCost(r.materials?.totalCost)],
+			[`Yarn + materials (${currencySymbol})`, r => fmtCost(r.totalCost)]
+		];
+		const colorLines = lastPerColor.map((c, idx) => {
+			const name = getColorDisplayName(c);
+			return `
+	    <tr>
+	      <td style="white-space:nowrap;">
+		<span class="swatch" style="background:${c.hex}; border:1px solid #ccc; width:12px; height:12px; display:inline-block; vertical-align:middle; margin-right:4px; border-radius:2px;"></span>
+		${escapeHtml(name || c.hex.toUpperCase())}
+	      </td>
+	      ${results.map(r => {
+				const row = r.yarn.perColor[idx];
+				const cost = fmtCost(row?.yarnCost);
+				return `<td style="text-align:right; white-space:nowrap;">${formatValueForDisplay(row?.yarnWeightWithWaste_g, "yarnWeightResult")}${cost ? ` · ${cost}` : ""}</td>`;
+			}).join("")}
+	    </tr>`;
+		}).join("");
+
+		scenarioCompareEl.innerHTML = `
+      <div style="overflow:auto;">
+	<table id="scenario-table" style="width:100%; border-collapse:collapse; margin:0.5rem 0;">
+	  <thead>
+	    <tr>
+	      <th style="text-align:left; border-bottom:1px solid #eee; padding-bottom:6px;"></th>
+	      ${results.map((r, idx) => `
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px; white-space:nowrap;">
+		${escapeHtml(r.name)} <button type="button" class="scenario-remove" data-remove="${idx}" title="Remove this scenario">×</button>
+	      </th>`).join("")}
+	    </tr>
+	  </thead>
+	  <tbody>
+	    ${lines.map(([label, value]) => `
+	    <tr>
+	      <td>${label}</td>
+	      ${results.map(r => `<td style="text-align:right; white-space:nowrap;">${value(r)}</td>`).join("")}
+	    </tr>`).join("")}
+	    <tr>
+	      <td colspan="${results.length + 1}" style="padding-top:6px;"><strong>Per color</strong> (${weightUnit}, incl. waste · ${currencySymbol})</td>
+	    </tr>
+	    ${colorLines}
+	  </tbody>
+	</table>
+      </div>
+    `;
+	}
+
+	// Totals with one row per scenario, then weight and cost per color side by side
+	function buildScenarioCsv(results) {
+		const rugUnitSlug = getUnitCsvLabel("rugLength");
+		const lengthUnitSlug = getUnitCsvLabel("yarnTotalLength");
+		const weightUnitSlug = getUnitCsvLabel("yarnWeightResult");
+		const currencyCode = getCurrencyCode().toLowerCase();
+		const header = [
+			"scenario",
+			`rug_width_${rugUnitSlug}`,
+			`rug_height_${rugUnitSlug}`,
+			`yarn_${getUnitCsvLabel("yarnWeightSpec")}`,
+			"strands",
+			"technique",
+			"pile_type",
+			`pile_height_${getUnitCsvLabel("pileHeight")}`,
+			`yarn_${lengthUnitSlug}`,
+			`weight_${weightUnitSlug}_incl_waste`,
+			`cost_${currencyCode}`,
+			"skeins_to_buy",
+			`purchase_cost_${currencyCode}`,
+			`materials_cost_${currencyCode}`,
+			`yarn_and_materials_${currencyCode}`
+		].join(",");
+
+		const rows = results.map(r => [
+			csvEscape(r.name),
+			numFmt(convertMetricToDisplay("rugLength", r.params.rugWidthCm), 2),
+			numFmt(convertMetricToDisplay("rugLength", r.params.rugHeightCm), 2),
+			numFmt(convertMetricToDisplay("yarnWeightSpec", yarnGramsPerMeter(r.params)), 4),
+			r.params.strands ?? "",
+			r.params.technique || "",
+			r.params.technique === "latch" ? "" : r.params.pileType || "",
+			numFmt(convertMetricToDisplay("pileHeight", r.params.pileHeightMm), 2),
+			numFmt(convertMetricToDisplay("yarnTotalLength", r.yarn.totals.totalLength_m), 2),
+			numFmt(convertMetricToDisplay("yarnWeightResult", r.yarn.totals.totalWeightWithWaste_g), 2),
+			numFmt(r.yarn.totals.totalCost, 2),
+			r.planned ? String(r.yarn.totals.totalSkeins) : "",
+			r.planned ? numFmt(r.yarn.totals.totalPurchaseCost, 2) : "",
+			numFmt(r.materials?.totalCost, 2),
+			numFmt(r.totalCost, 2)
+		].join(","));
+
+		rows.push("");
+		rows.push([
+			"color_hex",
+			"color_name",
+			...results.flatMap(r => [csvEscape(`${r.name} weight_${weightUnitSlug}`), csvEscape(`${r.name} cost_${currencyCode}`)])
+		].join(","));
+		lastPerColor.forEach((c, idx) => rows.push([
+			c.hex,
+			csvEscape(getColorDisplayName(c) || ""),
+			...results.flatMap(r => [
+				numFmt(convertMetricToDisplay("yarnWeightResult", r.yarn.perColor[idx]?.yarnWeightWithWaste_g), 2),
+				numFmt(r.yarn.perColor[idx]?.yarnCost, 2)
+			])
+		].join(",")));
+
+		return [header, ...rows].join("\n");
+	}
+
+	/* ---------------------------- Commission quote --------------------------- */
+	// Yarn cost to budget for: whole skeins are what is actually paid for, when known
+	function yarnSpend(yarnTotals) {
+		const purchaseCost = yarnTotals?.totalPurchaseCost ?? 0;
+		return purchaseCost > 0.0001 ? purchaseCost : (yarnTotals?.totalCost || 0);
+	}
+
+	// Making time and price for the last analysis: yarn + materials + labor, then overhead and margin
+	function computeQuote() {
+		if (!lastRenderPayload || !lastPerColor.length) return null;
+		const params = readForm();
+		const tufting = estimateTuftingTime({
+			areaCm2: lastPerColor.reduce((s, c) => s + (c.areaCm2 || 0), 0),
+			pile: lastYarnConstants?.pile,
+			stitchesPerMinute: params.stitchesPerMinute,
+		});
+		const finishingHours = Math.max(0, params.finishingHours || 0);
+		const yarnCost = yarnSpend(lastRenderPayload.yarn?.totals);
+		const shipping = computeShipping();
+		const price = priceCommission({
+			laborHours: tufting.hours + finishingHours,
+			hourlyRate: params.hourlyRate,
+			materialsCost: yarnCost + (lastMaterials?.totalCost || 0),
+			overheadPercent: params.overheadPercent,
+			marginPercent: params.marginPercent,
+			shippingCost: shipping?.quote?.price,
+		});
+		return { tufting, finishingHours, price, shipping };
+	}
+
+	// Display strings shared by the summary and the internal PDF; the price shows once labor is priced
+	function describeQuote(quote) {
+		if (!quote) return null;
+		const { tufting, finishingHours, price } = quote;
+		const currencySymbol = getCurrencySymbol();
+		const money = (v) => `${formatNumber(v, 2)} ${currencySymbol}`;
+		const lines = {
+			time: `~${formatHours(tufting.hours + finishingHours)} (tufting ${formatHours(tufting.hours)} for ~${Math.round(tufting.stitches).toLocaleString()} stitches`
+				+ ` + finishing ${formatHours(finishingHours)})`,
+			price: ""
+		};
+		if (price.laborCost > 0) {
+			lines.price = `~${money(price.price)} (materials ${money(price.materialsCost)}, labor ${money(price.laborCost)},`
+				+ ` overhead ${money(price.overhead)}, profit ${money(price.profit)})`
+				+ (price.shipping > 0 ? ` + shipping ${money(price.shipping)} = ${money(price.total)}` : "");
+		}
+		return lines;
+	}
+
+	quoteInputs.forEach(el => el?.addEventListener("input", () => {
+		if (lastRenderPayload) renderSummary(resultsSummary, lastRenderPayload);
+	}));
+
+	function formatHours(hours) {
+		const total = Math.round(Math.max(0, hours) * 4) / 4; // quarter hours
+		return `${formatNumber(total, 2)} h`;
+	}
+
+	function exportQuotePDF() {
+		const quote = computeQuote();
+		if (!quote) return;
+		const { jsPDF } = window.jspdf;
+		const doc = new jsPDF({ unit: "pt", format: "a4" });
+		const margin = 36;
+		const pageWidth = doc.internal.pageSize.getWidth();
+		const params = readForm();
+		const client = (quoteClientEl.value || "").trim();
+		const title = QUOTE_TITLES[params.technique] || QUOTE_TITLES.tufting;
+		const currencySymbol = getCurrencySymbol();
+		// Client-facing prices always show cents
+		const money = (v) => `${currencySymbol}${Number(v || 0).toFixed(2)}`;
+		const rugUnit = getUnitLabel("rugLength");
+		let y = margin;
+
+		// --- Title & meta
+		doc.setFont("helvetica", "bold");
+		doc.setFontSize(18);
+		doc.text("Rug quote", margin, y);
+		doc.setFont("helvetica", "normal");
+		doc.setFontSize(10);
+		doc.text(`Date: ${new Date().toLocaleDateString()}`, pageWidth - margin, y, { align: "right" });
+		y += 20;
+		if (client) {
+			doc.text(`Prepared for: ${client}`, margin, y);
+			y += 16;
+		}
+
+		// --- Design thumbnail (palette preview when a palette is used)
+		const thumb = getCanvasThumb(finalPreviewCanvas) || getCanvasThumb(previewCanvas);
+		if (thumb) {
+			doc.addImage(thumb.dataUrl, "PNG", margin, y, thumb.w, thumb.h);
+		}
+
+		// --- Rug description
+		const colX = thumb ? margin + thumb.w + 24 : margin;
+		const totals = lastRenderPayload.totals || {};
+		const lines = [
+			`Size: ${formatValueForDisplay(params.rugWidthCm, "rugLength")} × ${formatValueForDisplay(params.rugHeightCm, "rugLength")} ${rugUnit}`,
+			`Shape: ${RUG_SHAPE_LABELS[totals.shape] || RUG_SHAPE_LABELS.rectangle}`,
+			params.technique === "tufting"
+				? params.pileHeightMm
+					? `Pile: ${params.pileType}, ${formatValueForDisplay(params.pileHeightMm, "pileHeight")} ${getUnitLabel("pileHeight")}`
+					: `Pile: ${params.pileType}`
+				: `Technique: ${describeTechnique(params)}`,
+			`Colors: ${lastPerColor.length}`,
+			`Estimated making time: ~${formatHours(quote.tufting.hours + quote.finishingHours)}`
+		];
+		let textY = y + 4;
+		doc.setFont("helvetica", "bold");
+		doc.setFontSize(12);
+		doc.text(title, colX, textY);
+		doc.setFont("helvetica", "normal");
+		doc.setFontSize(10);
+		textY += 16;
+		lines.forEach(line => { doc.text(line, colX, textY); textY += 13; });
+		y = Math.max(textY, thumb ? y + thumb.h : 0) + 16;
+
+		// --- Price table: one price for the rug, shipping passed through
+		const body = [[`${title}, made to order`, money(quote.price.price)]];
+		const shipping = quote.shipping;
+		if (shipping?.quote?.price !== undefined) {
+			body.push([`Shipping (${shipping.table.name})`, money(quote.price.shipping)]);
+		} else if (shipping?.quote) {
+			body.push(["Shipping", "on request"]);
+		}
+		doc.autoTable({
+			startY: y,
+			styles: { font: "helvetica", fontSize: 10, cellPadding: 6 },
+			headStyles: { fillColor: [37, 99, 235] },
+			columnStyles: { 1: { halign: "right" } },
+			head: [["Item", "Price"]],
+			body,
+			foot: [["Total", money(quote.price.total)]],
+			footStyles: { fillColor: [241, 245, 249], textColor: 20, fontStyle: "bold" }
+		});
+
+		// --- Footer note
+		const endY = doc.lastAutoTable ? doc.lastAutoTable.finalY + 18 : y + 40;
+		doc.setFontSize(9);
+		doc.setTextColor(120);
+		doc.text("Estimate based on the current design. Changes to size, colors or pile may change the price.", margin, endY);
+
+		const safeName = (client || "client").replace(/[^\w\-]+/g, "_");
+		doc.save(`rug_quote_${safeName}.pdf`);
+	}
+
+	function refreshIslandStats(rows, labels, size, areaPerPixel) {
+		if (!labels || !size || labels.length !== size.width * size.height) return;
+		const islands = analyzeIslands(labels, size.width, size.height, areaPerPixel || 0);
+		rows.forEach((c, i) => {
+			c.islandCount = islands[i]?.count ?? 0;
+			c.islandAreasCm2 = islands[i]?.areasCm2 ?? [];
+		});
+	}
+
+	function describeIslands(c, limit = 5) {
+		const areas = c.islandAreasCm2 || [];
+		if (!areas.length) return "";
+		const shown = areas.slice(0, limit).map(a => formatValueForDisplay(a, "area")).join(", ");
+		const more = areas.length > limit ? `, … (+${areas.length - limit})` : "";
+		return `${shown}${more} ${getUnitLabel("area")}`;
+	}
+
+	// Blended rows have no plan of their own, but their component yarns may
+	function hasPurchasePlan(perColor) {
+		return perColor.some(c => Number.isFinite(c.skeinsToBuy) || c.blendParts?.some(p => p.skeinWeightG > 0));
+	}
+
+	// "low–high" from a row's or totals' `_low` / `_high` fields ("" without bounds). Without a
+	// unit type the values are plain numbers (costs, skein counts) with `decimals` digits.
+	function formatRange(obj, field, type, { useLocale = false, decimals } = {}) {
+		const low = obj?.[`${field}_low`], high = obj?.[`${field}_high`];
+		if (!Number.isFinite(low) || !Number.isFinite(high)) return "";
+		const fmt = (v) => type
+			? formatValueForDisplay(v, type, { useLocale, decimals })
+			: useLocale ? v.toLocaleString(undefined, { maximumFractionDigits: decimals ?? 2 }) : formatNumber(v, decimals ?? 2);
+		return `${fmt(low)}–${fmt(high)}`;
+	}
+
+	function rangeSpan(text) {
+		return text ? `<span class="estimate-range">${text}</span>` : "";
+	}
+
+	function hasInventoryMatch(perColor) {
+		return perColor.some(c => inventoryGramsFor(c.hex) !== undefined);
+	}
+
+	// { onHand_g, shortfall_g } from the inventory; both undefined when the color is not stocked
+	function colorStock(c) {
+		const onHand_g = inventoryGramsFor(c.hex);
+		if (onHand_g === undefined) return { onHand_g: undefined, shortfall_g: undefined };
+		return { onHand_g, shortfall_g: Math.max(0, (c.yarnWeightWithWaste_g || 0) - onHand_g) };
+	}
+
+	function stockCells(c) {
+		const { onHand_g, shortfall_g } = colorStock(c);
+		if (onHand_g === undefined) return `<td style="text-align:right;">—</td><td></td>`;
+		return `
+	  <td style="text-align:right;">${formatValueForDisplay(onHand_g, "yarnWeightResult")}</td>
+	  <td style="text-align:right;"${shortfall_g > 0 ? ` class="inventory-shortfall"` : ""}>${shortfall_g > 0 ? formatValueForDisplay(shortfall_g, "yarnWeightResult") : "✓"}</td>`;
+	}
+
+	// Group rows by pile type + height, for the PDF parameters summary
+	function summarizePileRegions(perColor) {
+		const regions = new Map();
+		perColor.forEach(c => {
+			const key = `${c.pileType}|${c.pileHeightMm}`;
+			if (!regions.has(key)) {
+				regions.set(key, { pileType: c.pileType, pileHeightMm: c.pileHeightMm, colors: 0, percentValid: 0 });
+			}
+			const region = regions.get(key);
+			region.colors++;
+			region.percentValid += c.percentValid || 0;
+		});
+		return Array.from(regions.values()).sort((a, b) => b.percentValid - a.percentValid);
+	}
+
+	// Purchase totals come from the yarn math (`yarnTotals`), which pools yarns shared by
+	// blends (see computeYarnForClusters); summing the rows cannot rebuild them
+	function refreshSummaryAfterManualChange(yarnTotals = lastRenderPayload?.yarn?.totals) {
+		// Recompute totals from lastPerColor
+		const totalLen = lastPerColor.reduce((s, c) => s + (c.yarnLength_m || 0), 0);
+		const totalW = lastPerColor.reduce((s, c) => s + (c.yarnWeightWithWaste_g || 0), 0);
+		const totalA = lastPerColor.reduce((s, c) => s + (c.areaCm2 || 0), 0);
+		const totalCost = lastPerColor.reduce((s, c) => s + (c.yarnCost || 0), 0);
+		// Low/high bounds of a row field, summed into the matching totals field
+		const sumRange = (field, totalField) => ({
+			[`${totalField}_low`]: lastPerColor.reduce((s, c) => s + (c[`${field}_low`] || 0), 0),
+			[`${totalField}_high`]: lastPerColor.reduce((s, c) => s + (c[`${field}_high`] || 0), 0)
+		});
+		const purchaseTotals = Object.fromEntries(["totalSkeins", "totalLeftover_g", "totalPurchaseCost"]
+			.flatMap(f => [f, `${f}_low`, `${f}_high`])
+			.map(f => [f, yarnTotals?.[f]]));
+
+		// Keep previously computed pixel/area box stats if available
+		// We can derive some from the canvas if needed; simplest is to keep last known.
+		const prevTotals = lastRenderPayload?.totals || {};
+		const fauxTotals = {
+			...prevTotals,
+			pixelsValid: prevTotals.pixelsValid ?? countLabelledPixels(),
+			boxAreaCm2: prevTotals.boxAreaCm2 ?? 0,
+			areaCm2: totalA
+		};
+
+		const fauxYarn = {
+			perColor: lastPerColor,
+			totals: {
+				totalArea_cm2: totalA,
+				totalLength_m: totalLen,
+				totalWeightWithWaste_g: totalW,
+				totalCost: totalCost,
+				...purchaseTotals,
+				...sumRange("yarnLength_m", "totalLength_m"),
+				...sumRange("yarnWeightWithWaste_g", "totalWeightWithWaste_g"),
+				...sumRange("yarnCost", "totalCost")
+			}
+		};
+
+		const payload = {
+			clusters: lastPerColor, // close enough for count
+			totals: fauxTotals,
+			dropped: [],
+			constants: null,
+			yarn: fauxYarn
+		};
+
+		// Render with minimal viable args
+		lastRenderPayload = payload;
+		renderSummary(resultsSummary, payload);
+	}
+
+
+	function buildCsv(perColor) {
+		const areaUnitSlug = getUnitCsvLabel("area");
+		const lengthUnitSlug = getUnitCsvLabel("yarnTotalLength");
+		const weightUnitSlug = getUnitCsvLabel("yarnWeightResult");
+		const currencyCode = getCurrencyCode().toLowerCase();
+		const header = [
+			"color_hex",
+			"color_name",
+			"percent_of_valid",
+			`area_${areaUnitSlug}`,
+			`yarn_${lengthUnitSlug}`,
+			`weight_${weightUnitSlug}_incl_waste`,
+			`cost_${currencyCode}`,
+			"pixels",
+			`yarn_${getUnitCsvLabel("yarnWeightSpec")}`,
+			"strands",
+			`price_${currencyCode}_${getUnitCsvLabel("pricePerMass")}`,
+			"custom_yarn",
+			"pile_type",
+			`pile_height_${getUnitCsvLabel("pileHeight")}`,
+			"custom_pile",
+			"skeins_to_buy",
+			`leftover_${weightUnitSlug}`,
+			`purchase_cost_${currencyCode}`,
+			"islands",
+			`island_areas_${areaUnitSlug}`,
+			"match_delta_e",
+			"match_delta_e_max",
+			`on_hand_${weightUnitSlug}`,
+			`shortfall_${weightUnitSlug}`,
+			`yarn_${lengthUnitSlug}_low`,
+			`yarn_${lengthUnitSlug}_high`,
+			`weight_${weightUnitSlug}_low`,
+			`weight_${weightUnitSlug}_high`,
+			`cost_${currencyCode}_low`,
+			`cost_${currencyCode}_high`,
+			"skeins_to_buy_low",
+			"skeins_to_buy_high",
+			`purchase_cost_${currencyCode}_low`,
+			`purchase_cost_${currencyCode}_high`,
+			"blend"
+		].join(",");
+
+		const rows = perColor.map(c => [
+			c.hex,
+			csvEscape(getColorDisplayName(c) || ""),
+			numFmt(c.percentValid, 2),
+			numFmt(convertMetricToDisplay("area", c.areaCm2), 2),
+			numFmt(convertMetricToDisplay("yarnTotalLength", c.yarnLength_m), 2),
+			numFmt(convertMetricToDisplay("yarnWeightResult", c.yarnWeightWithWaste_g), 2),
+			numFmt(c.yarnCost, 2),
+			String(c.pixelCount),
+			numFmt(convertMetricToDisplay("yarnWeightSpec", c.yarnGPerM_single), 4),
+			c.yarnStrands ?? "",
+			numFmt(convertMetricToDisplay("pricePerMass", c.yarnPricePerKg), 2),
+			c.yarnOverridden ? "yes" : "no",
+			c.pileType || "",
+			numFmt(convertMetricToDisplay("pileHeight", c.pileHeightMm), 2),
+			c.pileOverridden ? "yes" : "no",
+			c.skeinsToBuy ?? "",
+			numFmt(convertMetricToDisplay("yarnWeightResult", c.skeinLeftover_g), 2),
+			numFmt(c.purchaseCost, 2),
+			c.islandCount ?? "",
+			(c.islandAreasCm2 || []).map(a => numFmt(convertMetricToDisplay("area", a), 2)).join(";"),
+			numFmt(c.matchDeltaE, 2),
+			numFmt(c.matchDeltaEMax, 2),
+			numFmt(convertMetricToDisplay("yarnWeightResult", colorStock(c).onHand_g), 2),
+			numFmt(convertMetricToDisplay("yarnWeightResult", colorStock(c).shortfall_g), 2),
+			...csvRange(c, "yarnLength_m", "yarnTotalLength"),
+			...csvRange(c, "yarnWeightWithWaste_g", "yarnWeightResult"),
+			...csvRange(c, "yarnCost"),
+			c.skeinsToBuy_low ?? "",
+			c.skeinsToBuy_high ?? "",
+			...csvRange(c, "purchaseCost"),
+			csvEscape((c.blendParts || []).map(p => `${p.hex} x${p.strands}`).join(";"))
+		].join(","));
+
+		// Optional totals row
+		const totalLen = perColor.reduce((s, c) => s + c.yarnLength_m, 0);
+		const totalW = perColor.reduce((s, c) => s + c.yarnWeightWithWaste_g, 0);
+		const totalA = perColor.reduce((s, c) => s + c.areaCm2, 0);
+		const totalCost = perColor.reduce((s, c) => s + (c.yarnCost || 0), 0);
+		const planned = hasPurchasePlan(perColor);
+		// Purchase totals are pooled per yarn when colors are blends (see computeYarnForClusters)
+		const yarnTotals = lastRenderPayload?.yarn?.totals || {};
+		const totalSkeins = yarnTotals.totalSkeins ?? 0;
+		const totalLeftover = yarnTotals.totalLeftover_g ?? 0;
+		const totalPurchaseCost = yarnTotals.totalPurchaseCost ?? 0;
+		const stocked = hasInventoryMatch(perColor);
+		const sumField = (field) => perColor.reduce((s, c) => s + (Number(c[field]) || 0), 0);
+		const totalRange = (field, type) => [`${field}_low`, `${field}_high`]
+			.map(f => numFmt(type ? convertMetricToDisplay(type, sumField(f)) : sumField(f), 2));
+
+		rows.push([
+			"TOTAL",
+			"",
+			"",
+			numFmt(convertMetricToDisplay("area", totalA), 2),
+			numFmt(convertMetricToDisplay("yarnTotalLength", totalLen), 2),
+			numFmt(convertMetricToDisplay("yarnWeightResult", totalW), 2),
+			numFmt(totalCost, 2),
+			"",
+			"",
+			"",
+			"",
+			"",
+			"",
+			"",
+			"",
+			planned ? String(totalSkeins) : "",
+			planned ? numFmt(convertMetricToDisplay("yarnWeightResult", totalLeftover), 2) : "",
+			planned ? numFmt(totalPurchaseCost, 2) : "",
+			String(perColor.reduce((s, c) => s + (c.islandCount || 0), 0)),
+			"",
+			"",
+			"",
+			stocked ? numFmt(convertMetricToDisplay("yarnWeightResult", perColor.reduce((s, c) => s + (colorStock(c).onHand_g || 0), 0)), 2) : "",
+			stocked ? numFmt(convertMetricToDisplay("yarnWeightResult", perColor.reduce((s, c) => s + (colorStock(c).shortfall_g || 0), 0)), 2) : "",
+			...totalRange("yarnLength_m", "yarnTotalLength"),
+			...totalRange("yarnWeightWithWaste_g", "yarnWeightResult"),
+			...totalRange("yarnCost"),
+			planned ? String(yarnTotals.totalSkeins_low ?? "") : "",
+			planned ? String(yarnTotals.totalSkeins_high ?? "") : "",
+			...(planned ? [numFmt(yarnTotals.totalPurchaseCost_low, 2), numFmt(yarnTotals.totalPurchaseCost_high, 2)] : ["", ""]),
+			""
+		].join(","));
+
+		// Blends: physical yarns pooled across every color that uses them
+		const yarns = projectYarns(perColor);
+		if (yarns) {
+			rows.push("");
+			rows.push([
+				"yarn_hex",
+				"yarn_name",
+				"used_in",
+				`yarn_${lengthUnitSlug}`,
+				`weight_${weightUnitSlug}_incl_waste`,
+				`cost_${currencyCode}`,
+				"skeins_to_buy",
+				`purchase_cost_${currencyCode}`,
+				`on_hand_${weightUnitSlug}`,
+				`shortfall_${weightUnitSlug}`
+			].join(","));
+			yarns.forEach(y => rows.push([
+				y.hex,
+				csvEscape(y.name || ""),
+				csvEscape(y.usedBy.join(";")),
+				numFmt(convertMetricToDisplay("yarnTotalLength", y.yarnLength_m), 2),
+				numFmt(convertMetricToDisplay("yarnWeightResult", y.yarnWeightWithWaste_g), 2),
+				numFmt(y.yarnCost, 2),
+				y.skeinsToBuy ?? "",
+				numFmt(y.purchaseCost, 2),
+				numFmt(convertMetricToDisplay("yarnWeightResult", colorStock(y).onHand_g), 2),
+				numFmt(convertMetricToDisplay("yarnWeightResult", colorStock(y).shortfall_g), 2)
+			].join(",")));
+		}
+
+		// Backing & finishing as a second small table below the colors
+		const materialRows = materialLineItems(lastMaterials);
+		if (materialRows.length) {
+			rows.push("");
+			rows.push(["material", "cut_size", "quantity", "unit", `cost_${currencyCode}`].join(","));
+			materialRows.forEach(item => rows.push([
+				csvEscape(item.label),
+				csvEscape(item.size),
+				item.quantity,
+				item.unit,
+				numFmt(item.cost, 2)
+			].join(",")));
+			rows.push(["MATERIALS_TOTAL", "", "", "", numFmt(lastMaterials.totalCost, 2)].join(","));
+		}
+
+		return [header, ...rows].join("\n");
+	}
+
+	// Low and high bounds of a row field as two CSV cells
+	function csvRange(c, field, type) {
+		return [c[`${field}_low`], c[`${field}_high`]]
+			.map(v => numFmt(type ? convertMetricToDisplay(type, v) : v, 2));
+	}
+	function numFmt(x, d) {
+		const n = Number(x);
+		return Number.isFinite(n) ? n.toFixed(d) : "";
+	}
+	function csvEscape(s) {
+		if (s.includes(",") || s.includes("\"") || s.includes("\n")) {
+			return `"${s.replace(/"/g, '""')}"`;
+		}
+		return s;
+	}
+
+
+	/* ----------------------------- Shopping list ---------------------------- */
+	const OTHER_VENDOR = "Other yarns";
+	// Built-in vendor palettes by file, loaded on first use (see palettes/index.json)
+	const vendorCatalogues = new Map();
+
+	shoppingCsvBtn.addEventListener("click", async () => {
+		if (!lastPerColor.length) {
+			alert("No results to export.");
+			return;
+		}
+		await loadVendorCatalogues();
+		const csv = buildShoppingCsv(computeShoppingList());
+		const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
+		const a = document.createElement("a");
+		a.href = URL.createObjectURL(blob);
+		a.download = "tufting-yarn-shopping-list.csv";
+		document.body.appendChild(a);
+		a.click();
+		a.remove();
+	});
+
+	shoppingPdfBtn.addEventListener("click", async () => {
+		if (!lastPerColor.length) {
+			alert("No results to export. Analyze an image first.");
+			return;
+		}
+		await loadVendorCatalogues();
+		try {
+			exportShoppingPDF(computeShoppingList());
+		} catch (e) {
+			console.error(e);
+			alert("Shopping list export failed. See console for details.");
+		}
+	});
+
+	async function loadVendorCatalogues() {
+		await Promise.all(builtinPalettes.map(async ({ name, file }) => {
+			if (vendorCatalogues.has(file)) return;
+			try {
+				const res = await fetch(`palettes/${file}`, { cache: "no-store" });
+				if (!res.ok) throw new Error(`HTTP ${res.status}`);
+				const { palette } = validatePalette(await res.json());
+				if (palette) vendorCatalogues.set(file, { ...palette, vendor: palette.vendor || name });
+			} catch (err) {
+				console.warn("Failed to load vendor palette", file, err);
+			}
+		}));
+	}
+
+	// Vendor and product of a yarn color: the current palette first, then the built-in vendor palettes
+	function findVendorProduct(hex) {
+		const key = normalizeHex(hex || "");
+		const sources = [
+			{ vendor: paletteState.vendor || paletteState.name || "Current palette", currency: paletteState.currency, colors: paletteState.colors },
+			...vendorCatalogues.values()
+		];
+		for (const source of sources) {
+			const product = source.colors.find(c => normalizeHex(c.hex || "") === key);
+			if (product) return { vendor: source.vendor, currency: source.currency, product };
+		}
+		return null;
+	}
+
+	// Yarn to order per vendor: colors (and blend components) using the same yarn are pooled,
+	// then rounded up to whole cones of that product (or of the project skein weight)
+	function computeShoppingList() {
+		const yarns = aggregateYarnUsage(lastPerColor.map(c => ({ ...c, name: getColorDisplayName(c) })));
+		const colorName = (hex) => getColorDisplayName(lastPerColor.find(c => c.hex === hex)) || hex.toUpperCase();
+		const groups = new Map();
+		yarns.forEach(yarn => {
+			const match = findVendorProduct(yarn.hex);
+			const product = match?.product;
+			const vendor = match?.vendor || OTHER_VENDOR;
+			const priceInCurrency = !match?.currency || match.currency === getCurrencyCode();
+			const productPrice = paletteColorYarnSpec(product, { withPrice: priceInCurrency })?.yarnPricePerKg;
+			const pricePerKg = productPrice ?? (yarn.yarnWeightWithWaste_g > 0 ? yarn.yarnCost / (yarn.yarnWeightWithWaste_g / 1000) : undefined);
+			const coneWeightG = product?.coneWeightG ?? lastYarnConstants?.skeinWeightG;
+			const purchase = planSkeinPurchase(yarn.yarnWeightWithWaste_g, coneWeightG, pricePerKg);
+
+			if (!groups.has(vendor)) groups.set(vendor, { vendor, items: [], weight_g: 0, cones: 0, cost: 0 });
+			const group = groups.get(vendor);
+			const cost = purchase ? purchase.cost : (pricePerKg || 0) * yarn.yarnWeightWithWaste_g / 1000;
+			group.items.push({
+				hex: yarn.hex.toUpperCase(),
+				product: product?.name || yarn.name || "",
+				sku: product?.sku || "",
+				url: product?.url || "",
+				usedBy: yarn.usedBy.map(colorName),
+				weight_g: yarn.yarnWeightWithWaste_g,
+				coneWeightG: purchase ? coneWeightG : undefined,
+				cones: purchase?.skeins,
+				cost
+			});
+			group.weight_g += yarn.yarnWeightWithWaste_g;
+			group.cones += purchase?.skeins || 0;
+			group.cost += cost;
+		});
+		return [...groups.values()]
+			.sort((a, b) => (a.vendor === OTHER_VENDOR) - (b.vendor === OTHER_VENDOR) || a.vendor.localeCompare(b.vendor))
+			.map(group => ({ ...group, items: group.items.sort((a, b) => a.product.localeCompare(b.product)) }));
+	}
+
+	function buildShoppingCsv(groups) {
+		const weightUnitSlug = getUnitCsvLabel("yarnWeightResult");
+		const currencyCode = getCurrencyCode().toLowerCase();
+		const header = [
+			"vendor", "product", "sku", "yarn_hex", "used_in",
+			`weight_${weightUnitSlug}_incl_waste`, `cone_weight_${getUnitCsvLabel("skeinWeight")}`, "cones",
+			`cost_${currencyCode}`, "url"
+		].join(",");
+		const rows = [];
+		const totalRow = (vendor, label, { weight_g, cones, cost }) => [
+			csvEscape(vendor), label, "", "", "",
+			numFmt(convertMetricToDisplay("yarnWeightResult", weight_g), 2), "", String(cones), numFmt(cost, 2), ""
+		].join(",");
+		groups.forEach(group => {
+			group.items.forEach(item => rows.push([
+				csvEscape(group.vendor),
+				csvEscape(item.product),
+				csvEscape(item.sku),
+				item.hex,
+				csvEscape(item.usedBy.join(";")),
+				numFmt(convertMetricToDisplay("yarnWeightResult", item.weight_g), 2),
+				numFmt(convertMetricToDisplay("skeinWeight", item.coneWeightG), 0),
+				item.cones ?? "",
+				numFmt(item.cost, 2),
+				csvEscape(item.url)
+			].join(",")));
+			rows.push(totalRow(group.vendor, "SUBTOTAL", group));
+		});
+		rows.push(totalRow("", "TOTAL", {
+			weight_g: groups.reduce((s, g) => s + g.weight_g, 0),
+			cones: groups.reduce((s, g) => s + g.cones, 0),
+			cost: groups.reduce((s, g) => s + g.cost, 0)
+		}));
+		return [header, ...rows].join("\n");
+	}
+
+	function exportShoppingPDF(groups) {
+		const { jsPDF } = window.jspdf;
+		const doc = new jsPDF({ unit: "pt", format: "a4" });
+		const margin = 36;
+		const pageWidth = doc.internal.pageSize.getWidth();
+		const pageHeight = doc.internal.pageSize.getHeight();
+		const weightLabel = getUnitLabel("yarnWeightResult");
+		const currencySymbol = getCurrencySymbol();
+		const money = (v) => v > 0 ? formatNumber(v, 2) : "";
+		let y = margin;
+
+		// --- Title & meta
+		doc.setFont("helvetica", "bold");
+		doc.setFontSize(16);
+		doc.text("Yarn shopping list", margin, y);
+		doc.setFont("helvetica", "normal");
+		doc.setFontSize(10);
+		doc.text(`Date: ${new Date().toLocaleDateString()}`, pageWidth - margin, y, { align: "right" });
+		y += 16;
+		const yarnName = (readForm().yarnName || "").trim();
+		if (yarnName) {
+			doc.text(`Yarn: ${yarnName}`, margin, y);
+			y += 14;
+		}
+
+		// --- One table per vendor, subtotal in the footer
+		groups.forEach(group => {
+			if (y > pageHeight - 100) {
+				doc.addPage();
+				y = margin;
+			}
+			doc.setFont("helvetica", "bold");
+			doc.setFontSize(12);
+			doc.setTextColor(0);
+			doc.text(group.vendor, margin, y + 12);
+			doc.autoTable({
+				startY: y + 20,
+				styles: { font: "helvetica", fontSize: 9, cellPadding: 4, overflow: "linebreak" },
+				headStyles: { fillColor: [37, 99, 235] },
+				footStyles: { fillColor: [241, 245, 249], textColor: 20, fontStyle: "bold" },
+				columns: [
+					{ header: "Product", dataKey: "product" },
+					{ header: "SKU", dataKey: "sku" },
+					{ header: "Color", dataKey: "hex" },
+					{ header: "Used in", dataKey: "usedby" },
+					{ header: `Weight (${weightLabel})`, dataKey: "weight" },
+					{ header: "Cones", dataKey: "cones" },
+					{ header: `Cost (${currencySymbol})`, dataKey: "cost" }
+				],
+				body: group.items.map(item => ({
+					product: item.product,
+					sku: item.sku,
+					hex: item.hex,
+					usedby: item.usedBy.join(", "),
+					weight: formatValueForDisplay(item.weight_g, "yarnWeightResult"),
+					cones: item.cones ?? "",
+					cost: money(item.cost)
+				})),
+				foot: [{
+					product: "Subtotal", sku: "", hex: "", usedby: "",
+					weight: formatValueForDisplay(group.weight_g, "yarnWeightResult"),
+					cones: group.cones || "",
+					cost: money(group.cost)
+				}],
+				showFoot: "lastPage"
+			});
+			y = doc.lastAutoTable ? doc.lastAutoTable.finalY + 20 : y + 60;
+		});
+
+		// --- Grand total
+		if (y > pageHeight - margin) {
+			doc.addPage();
+			y = margin + 12;
+		}
+		const totalCones = groups.reduce((s, g) => s + g.cones, 0);
+		const totalCost = groups.reduce((s, g) => s + g.cost, 0);
+		doc.setFont("helvetica", "bold");
+		doc.setFontSize(11);
+		doc.text(
+			`Total: ${totalCones ? `${totalCones} cones` : formatValueForDisplay(groups.reduce((s, g) => s + g.weight_g, 0), "yarnWeightResult") + ` ${weightLabel}`}`
+			+ (totalCost > 0 ? ` · ${formatNumber(totalCost, 2)} ${currencySymbol}` : ""),
+			margin, y
+		);
+
+		doc.save("tufting_yarn_shopping_list.pdf");
+	}
+
+
+	/* --------------------------- Vendor comparison -------------------------- */
+	const CURRENT_PALETTE = "current";
+	let lastVendorComparison = null; // { rows, colorCount, deltaEMetric } from the last comparison
+
+	function renderVendorPaletteChoices() {
+		if (!vendorComparePalettesEl) return;
+		const choices = [
+			...builtinPalettes.map(p => ({ value: p.file, label: p.name, checked: true })),
+			{ value: CURRENT_PALETTE, label: "Current palette", checked: false }
+		];
+		vendorComparePalettesEl.innerHTML = choices.map(choice => `
+	<label class="field checkbox-field">
+	  <input type="checkbox" value="${escapeHtml(choice.value)}"${choice.checked ? " checked" : ""} />
+	  <span>${escapeHtml(choice.label)}</span>
+	</label>`).join("");
+	}
+
+	vendorCompareBtn.addEventListener("click", async () => {
+		if (!appState.imageLoaded || analysisJob) return;
+
+		const params = readForm();
+		if (!(params.rugWidthCm > 0 && params.rugHeightCm > 0)) {
+			alert(`Please enter a positive Rug width & height (${getUnitLabel("rugLength")}) before comparing vendors.`);
+			return;
+		}
+		const chosen = [...vendorComparePalettesEl.querySelectorAll("input:checked")].map(input => input.value);
+		if (!chosen.length) {
+			alert("Select at least one palette to compare.");
+			return;
+		}
+		await loadVendorCatalogues();
+		const catalogues = chosen
+			.map(value => value === CURRENT_PALETTE
+				? {
+					vendor: paletteState.vendor || paletteState.name || "Current palette",
+					currency: paletteState.currency,
+					colors: getPaletteColorsForAnalysis()
+				}
+				: vendorCatalogues.get(value))
+			.filter(catalogue => catalogue?.colors.length);
+		if (!catalogues.length) {
+			alert("The selected palettes could not be loaded or have no colors.");
+			return;
+		}
+
+		// One analysis, with the clusters matched against every chosen palette
+		let result;
+		try {
+			result = await runAnalysis(({ width, height }) => readImagePixels(sourceImage, width, height), {
+				...analysisOptions(params),
+				paletteColors: null,
+				comparePalettes: catalogues.map(c => c.colors),
+			});
+		} catch (err) {
+			if (err?.name !== "AbortError") alert(`Vendor comparison failed: ${err?.message || err}`);
+			return;
+		}
+
+		const rows = catalogues
+			.map((catalogue, idx) => compareVendor(catalogue, result.paletteComparison?.[idx], params))
+			.filter(Boolean);
+		lastVendorComparison = { rows, colorCount: result.clusters.length, deltaEMetric: params.deltaEMetric };
+		renderVendorComparison();
+	});
+
+	vendorGoodDeltaEEl.addEventListener("input", () => renderVendorComparison());
+
+	// Match quality and yarn cost for one palette. Only the palette's own prices and cone
+	// weights count, so vendors without price data are not costed at the project yarn price.
+	function compareVendor(catalogue, comparison, params) {
+		if (!comparison) return null;
+		const priceInCurrency = !catalogue.currency || catalogue.currency === getCurrencyCode();
+		const clusters = comparison.clusters.map(c => {
+			const product = catalogue.colors.find(p => normalizeHex(p.hex || "") === normalizeHex(c.hex || ""));
+			return { ...c, yarnSpec: paletteColorYarnSpec(product, { withPrice: priceInCurrency }) };
+		});
+		const constants = { ...yarnConstantsFor(params), pricePerKg: undefined, skeinWeightG: undefined };
+		const { perColor, totals } = computeYarnWithRange(clusters, constants, params.uncertainty);
+		const priced = perColor.filter(c => c.yarnPricePerKg !== undefined);
+		return {
+			vendor: catalogue.vendor,
+			currency: catalogue.currency,
+			priceInCurrency,
+			stats: comparison.stats,
+			matches: comparison.matches,
+			pricedYarns: priced.length,
+			cost: totals.totalCost,
+			// Whole cones only when every priced yarn has a cone weight
+			purchaseCost: priced.length && priced.every(c => c.skeinsToBuy !== undefined) ? totals.totalPurchaseCost : undefined
+		};
+	}
+
+	function renderVendorComparison() {
+		if (!lastVendorComparison?.rows.length) {
+			vendorCompareEl.innerHTML = lastVendorComparison ? `<p class="hint">No palette could be matched.</p>` : "";
+			return;
+		}
+		const { rows, colorCount, deltaEMetric } = lastVendorComparison;
+		// The threshold is in ∆E76 terms; the matches are measured in the analysis metric
+		const goodDeltaE = Math.max(0, Number(vendorGoodDeltaEEl.value) || 0) * deltaEScale(deltaEMetric);
+		const currencySymbol = getCurrencySymbol();
+		const fmtCost = (v) => Number(v).toLocaleString(undefined, { maximumFractionDigits: 2 });
+		const poorMatches = (row) => row.matches
+			.filter(m => !(m.deltaE <= goodDeltaE))
+			.sort((a, b) => b.percentValid - a.percentValid);
+		const fullyPriced = rows.filter(row => row.pricedYarns === row.stats.yarnsUsed);
+		const bestMatch = rows.reduce((best, row) => row.stats.meanDeltaE < best.stats.meanDeltaE ? row : best);
+		const cheapest = fullyPriced.length ? fullyPriced.reduce((best, row) => row.cost < best.cost ? row : best) : null;
+
+		const costCell = (row) => {
+			if (!row.pricedYarns) {
+				return row.priceInCurrency ? "no prices" : `prices in ${escapeHtml(row.currency)}`;
+			}
+			const partial = row.pricedYarns < row.stats.yarnsUsed ? ` (${row.pricedYarns} of ${row.stats.yarnsUsed} yarns priced)` : "";
+			const cones = row.purchaseCost !== undefined ? `<br /><span class="hint">${fmtCost(row.purchaseCost)} in whole cones</span>` : "";
+			return `${fmtCost(row.cost)}${partial}${cones}`;
+		};
+		const tags = (row) => [
+			row === bestMatch ? "best match" : "",
+			row === cheapest && rows.length > 1 ? "cheapest" : ""
+		].filter(Boolean).map(tag => ` <em style="color:#15803d;">${tag}</em>`).join("");
+		const swatch = (hex) => `<span class="swatch" style="background:${hex}; border:1px solid #ccc; width:12px; height:12px; display:inline-block; vertical-align:middle; margin-right:4px; border-radius:2px;"></span>`;
+
+		const details = rows.map(row => {
+			const poor = poorMatches(row);
+			if (!poor.length) return "";
+			return `
+      <details>
+	<summary>${escapeHtml(row.vendor)}: ${poor.length} of ${colorCount} colors without a good match</summary>
+	<ul>
+	  ${poor.map(m => `
+	  <li>${swatch(m.hex)}${m.hex.toUpperCase()} (${formatNumber(m.percentValid, 1)}%) → ${m.yarnHex ? `${swatch(m.yarnHex)}${escapeHtml(m.yarnName || m.yarnHex)}` : "—"}, ∆E ${formatNumber(m.deltaE, 1)}</li>`).join("")}
+	</ul>
+      </details>`;
+		}).join("");
+
+		vendorCompareEl.innerHTML = `
+      <div style="overflow:auto;">
+	<table id="vendor-table" style="width:100%; border-collapse:collapse; margin:0.5rem 0;">
+	  <thead>
+	    <tr>
+	      <th style="text-align:left; border-bottom:1px solid #eee; padding-bottom:6px;">Vendor</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Yarns</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Avg ∆E</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Worst ∆E</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Poor matches</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Yarn cost (${currencySymbol})</th>
+	    </tr>
+	  </thead>
+	  <tbody>
+	    ${rows.map(row => `
+	    <tr>
+	      <td>${escapeHtml(row.vendor)}${tags(row)}</td>
+	      <td style="text-align:right;">${row.stats.yarnsUsed} of ${row.stats.yarnsAvailable}</td>
+	      <td style="text-align:right;">${formatNumber(row.stats.meanDeltaE, 1)}</td>
+	      <td style="text-align:right;">${formatNumber(row.stats.maxDeltaE, 1)}</td>
+	      <td style="text-align:right;">${poorMatches(row).length} of ${colorCount}</td>
+	      <td style="text-align:right;">${costCell(row)}</td>
+	    </tr>`).join("")}
+	  </tbody>
+	</table>
+      </div>
+      ${details}
+    `;
+	}
+
+
+	/* ---------------------------- Gun profiles UI --------------------------- */
+	gunProfileSelectEl.addEventListener("change", () => {
+		const profile = getSelectedGunProfile();
+		if (profile) {
+			// A profile belongs to one technique; guns saved before techniques existed are tufting guns
+			setTechnique(profile.technique || "tufting");
+			setVal(pileTypeEl, profile.pileType);
+			setFieldFromMetric(pileHeightEl, profile.pileHeightMm?.typical, "pileHeight");
+			setFieldFromMetric(linesPerCmEl, profile.linesPerCm?.typical, "density");
+			setFieldFromMetric(stitchesPerCmEl, profile.stitchesPerCm?.typical, "density");
+		}
+		refreshGunProfileHint();
+		maybeAutosave();
+	});
+
+	// Custom profiles keep the current values only; ranges are for the built-in guns
+	gunProfileSaveBtn.addEventListener("click", () => {
+		const name = (gunProfileNameEl.value || "").trim();
+		if (!name) {
+			alert("Give the gun profile a name.");
+			return;
+		}
+		const params = readForm();
+		if (!(params.pileHeightMm > 0 && params.linesPerCm > 0 && params.stitchesPerCm > 0)) {
+			const densityUnit = getUnitLabel("density");
+			alert(`Enter the pile height, lines per ${densityUnit} and stitches per ${densityUnit} first.`);
+			return;
+		}
+		saveGunProfile({
+			name,
+			technique: params.technique,
+			pileType: params.pileType,
+			pileHeightMm: { typical: params.pileHeightMm },
+			linesPerCm: { typical: params.linesPerCm },
+			stitchesPerCm: { typical: params.stitchesPerCm }
+		});
+		populateGunProfileSelect();
+		gunProfileSelectEl.value = `custom:${name}`;
+		gunProfileNameEl.value = "";
+		refreshGunProfileHint();
+		maybeAutosave();
+	});
+
+	gunProfileDeleteBtn.addEventListener("click", () => {
+		const value = gunProfileSelectEl.value;
+		if (!value.startsWith("custom:")) return;
+		const name = value.slice("custom:".length);
+		if (!confirm(`Delete gun profile “${name}”?`)) return;
+		deleteGunProfile(name);
+		populateGunProfileSelect();
+		gunProfileSelectEl.value = "";
+		refreshGunProfileHint();
+		maybeAutosave();
+	});
+
+	[pileTypeEl, pileHeightEl, linesPerCmEl, stitchesPerCmEl].forEach(el => el.addEventListener("input", refreshGunProfileHint));
+
+	function populateGunProfileSelect() {
+		const current = gunProfileSelectEl.value;
+		const custom = loadGunProfiles().sort((a, b) => a.name.localeCompare(b.name));
+		gunProfileSelectEl.innerHTML = `<option value="">— None —</option>` +
+			`<optgroup label="Built-in">${GUN_PROFILES.map(p => `<option value="builtin:${p.id}">${escapeHtml(p.name)}</option>`).join("")}</optgroup>` +
+			(custom.length ? `<optgroup label="Custom">${custom.map(p => `<option value="custom:${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join("")}</optgroup>` : "");
+		if ([...gunProfileSelectEl.options].some(o => o.value === current)) gunProfileSelectEl.value = current;
+	}
+
+	function getSelectedGunProfile() {
+		const value = gunProfileSelectEl.value;
+		if (value.startsWith("builtin:")) return GUN_PROFILES.find(p => p.id === value.slice("builtin:".length)) || null;
+		if (value.startsWith("custom:")) return loadGunProfiles().find(p => p.name === value.slice("custom:".length)) || null;
+		return null;
+	}
+
+	// What the selected gun covers, and which of the current values fall outside it
+	function refreshGunProfileHint() {
+		gunProfileDeleteBtn.disabled = !gunProfileSelectEl.value.startsWith("custom:");
+		const profile = getSelectedGunProfile();
+		if (!profile) {
+			gunProfileHintEl.textContent = "";
+			return;
+		}
+		const params = readForm();
+		const span = (spec, type) => Number.isFinite(spec?.min) && Number.isFinite(spec?.max)
+			? `${formatValueForDisplay(spec.min, type)}–${formatValueForDisplay(spec.max, type)}`
+			: formatValueForDisplay(spec?.typical, type);
+		const outside = [
+			["pile height", profile.pileHeightMm, params.pileHeightMm],
+			["lines", profile.linesPerCm, params.linesPerCm],
+			["stitches", profile.stitchesPerCm, params.stitchesPerCm]
+		].filter(([, spec, value]) => value > 0 && (value < spec?.min || value > spec?.max)).map(([label]) => label);
+		gunProfileHintEl.textContent = `${profile.pileType === "loop" ? "Loop" : "Cut"} pile, `
+			+ `${span(profile.pileHeightMm, "pileHeight")} ${getUnitLabel("pileHeight")} pile height, `
+			+ `${span(profile.linesPerCm, "density")} lines and ${span(profile.stitchesPerCm, "density")} stitches per ${getUnitLabel("density")}.`
+			+ (profile.note ? ` ${profile.note}` : "")
+			+ (outside.length ? ` Outside this gun’s range: ${outside.join(", ")}.` : "");
+	}
+
+	/* ------------------------------ Presets UI ----------------------------- */
+	savePresetBtn.addEventListener("click", () => {
+		const name = (presetNameEl.value || "").trim();
+		if (!name) {
+			alert("Choose a preset name first.");
+			return;
+		}
+		const settings = serializeSettingsForPreset();
+		savePreset(name, settings);
+		populatePresetSelect();
+		alert(`Saved preset “${name}”.`);
+	});
+
+	presetSelectEl.addEventListener("change", () => {
 		const name = presetSelectEl.value;
 		if (!name) return;
 		const presets = loadPresets();
@@ -1268,18 +3372,196 @@ document.addEventListener("DOMContentLoaded", () => {
 		presetSelectEl.value = "";
 	});
 
+	/* ----------------------------- Calibration UI --------------------------- */
+	calibrationSaveBtn.addEventListener("click", () => {
+		const params = readForm();
+		const gPerMInput = posNumOrUndef(calGPerMEl.value);
+		const gramsInput = posNumOrUndef(calGramsEl.value);
+		const swatch = {
+			widthCm: convertDisplayToMetric("rugLength", num(calWidthEl.value)),
+			heightCm: convertDisplayToMetric("rugLength", num(calHeightEl.value)),
+			pileType: calPileTypeEl.value || "cut",
+			pileHeightMm: convertDisplayToMetric("pileHeight", num(calPileHeightEl.value)),
+			strands: intDef(calStrandsEl.value, 1),
+			// Fall back to the project yarn when the swatch yarn is not given
+			yarnGPerM: gPerMInput !== undefined ? convertDisplayToMetric("yarnWeightSpec", gPerMInput) : params.yarnGPerM,
+			yarnMPerKg: gPerMInput !== undefined ? undefined : params.yarnMPerKg,
+			gramsUsed: gramsInput !== undefined ? convertDisplayToMetric("skeinWeight", gramsInput) : undefined
+		};
+		if (!(swatch.pileHeightMm > 0)) {
+			alert("Enter the swatch pile height.");
+			return;
+		}
+		const result = calibrateFromSwatch(swatch);
+		if (!result) {
+			alert("Enter the swatch size, the yarn used and a yarn weight (here or in the yarn settings) to calibrate.");
+			return;
+		}
+
+		const saved = saveCalibration({
+			gun: (calGunEl.value || "").trim(),
+			yarn: (calYarnEl.value || "").trim(),
+			densityFactor: result.densityFactor,
+			swatch
+		});
+		populateCalibrationSelect();
+		calibrationSelectEl.value = saved.id;
+		calibrationResultEl.textContent = `Density factor ×${formatNumber(result.densityFactor, 2)} `
+			+ `(${formatNumber(result.measured_m_per_m2_single, 0)} m/m² measured vs ${formatNumber(result.predicted_m_per_m2_single, 0)} m/m² built-in, single strand).`;
+		maybeAutosave();
+	});
+
+	calibrationSelectEl.addEventListener("change", maybeAutosave);
+
+	calibrationDeleteBtn.addEventListener("click", () => {
+		const id = calibrationSelectEl.value;
+		if (!id) return;
+		const cal = loadCalibrations().find(c => c.id === id);
+		if (!confirm(`Delete calibration “${describeCalibration(cal)}”?`)) return;
+		deleteCalibration(id);
+		populateCalibrationSelect();
+		calibrationSelectEl.value = "";
+		maybeAutosave();
+	});
+
+	function populateCalibrationSelect() {
+		const current = calibrationSelectEl.value;
+		const calibrations = loadCalibrations().sort((a, b) => describeCalibration(a).localeCompare(describeCalibration(b)));
+		calibrationSelectEl.innerHTML = `<option value="">— Built-in baseline —</option>` +
+			calibrations.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(describeCalibration(c))}</option>`).join("");
+		if (calibrations.some(c => c.id === current)) calibrationSelectEl.value = current;
+	}
+
+	function describeCalibration(cal) {
+		if (!cal) return "";
+		const combo = [cal.gun, cal.yarn].filter(Boolean).join(" · ") || "Unnamed swatch";
+		const pile = cal.swatch ? `, ${cal.swatch.pileType} ${formatValueForDisplay(cal.swatch.pileHeightMm, "pileHeight")} ${getUnitLabel("pileHeight")}` : "";
+		return `${combo}${pile} (×${formatNumber(cal.densityFactor, 2)})`;
+	}
+
+	function getSelectedCalibration() {
+		const id = calibrationSelectEl.value;
+		if (!id) return null;
+		return loadCalibrations().find(c => c.id === id) || null;
+	}
+
+	/* ----------------------------- Yarn inventory ---------------------------- */
+	function renderInventoryEditor() {
+		if (!inventory.length) {
+			inventoryListEl.innerHTML = `<p class="hint">No yarn in stock yet. Click “Add yarn” or add your palette colors.</p>`;
+			return;
+		}
+		const unit = getUnitLabel("skeinWeight");
+		inventoryListEl.innerHTML = inventory.map((item, idx) => `
+	<div class="palette-row inventory-row" data-index="${idx}">
+	  <span class="palette-swatch" style="background:${normalizeHexForSwatch(item.hex) || "#ffffff"};"></span>
+	  <input type="text" class="palette-row-name" data-role="name" placeholder="Yarn name" value="${escapeHtml(item.name || "")}" />
+	  <input type="text" class="palette-row-hex" data-role="hex" placeholder="#FFAA00" value="${escapeHtml(item.hex || "")}" />
+	  <input type="number" class="inventory-row-grams" data-role="grams" min="0" step="1" value="${formatValueForDisplay(item.grams, "skeinWeight")}" />
+	  <label>${unit}</label>
+	  <button type="button" class="palette-row-remove" data-action="remove" aria-label="Remove yarn ${idx + 1}">&times;</button>
+	</div>
+      `).join("");
+	}
+
+	// Grams on hand for a color, summed over inventory entries with the same hex
+	function inventoryGramsFor(hex) {
+		const key = normalizeHex(hex || "");
+		if (!key) return undefined;
+		const matches = inventory.filter(item => normalizeHex(item.hex || "") === key);
+		return matches.length ? matches.reduce((s, item) => s + (Number(item.grams) || 0), 0) : undefined;
+	}
+
+	// Inventory changes alter the on-hand and shortfall columns
+	function inventoryChanged() {
+		saveInventory(inventory);
+		if (lastPerColor.length) renderYarnTable(resultsColors, lastPerColor);
+	}
+
+	inventoryListEl.addEventListener("input", (event) => {
+		const row = event.target.closest(".inventory-row");
+		const item = row && inventory[Number(row.dataset.index)];
+		if (!item) return;
+		const role = event.target.dataset.role;
+		if (role === "name") {
+			item.name = event.target.value;
+		} else if (role === "hex") {
+			item.hex = event.target.value;
+			const swatch = row.querySelector(".palette-swatch");
+			if (swatch) swatch.style.background = normalizeHexForSwatch(event.target.value) || "#ffffff";
+		} else if (role === "grams") {
+			item.grams = convertDisplayToMetric("skeinWeight", Math.max(0, num(event.target.value)));
+		}
+		inventoryChanged();
+	});
+
+	inventoryListEl.addEventListener("click", (event) => {
+		const btn = event.target.closest("[data-action=\"remove\"]");
+		const row = btn?.closest(".inventory-row");
+		if (!row) return;
+		inventory.splice(Number(row.dataset.index), 1);
+		renderInventoryEditor();
+		inventoryChanged();
+	});
+
+	inventoryAddBtn.addEventListener("click", () => {
+		inventory.push({ name: "", hex: "#ffffff", grams: 0 });
+		renderInventoryEditor();
+		inventoryChanged();
+	});
+
+	inventoryAddPaletteBtn.addEventListener("click", () => {
+		const colors = getPaletteColorsForAnalysis().filter(c => inventoryGramsFor(c.hex) === undefined);
+		if (!colors.length) {
+			alert("Every palette color is already in the inventory (or the palette is empty).");
+			return;
+		}
+		colors.forEach(c => inventory.push({ name: c.name, hex: c.hex, grams: 0 }));
+		renderInventoryEditor();
+		inventoryChanged();
+	});
+
+	// Subtract what this project uses (incl. wastage) from the matching entries, in list order
+	// Blended colors deduct their component yarns
+	function deductProjectFromInventory() {
+		const used = (projectYarns() || lastPerColor)
+			.map(c => ({ c, need: c.yarnWeightWithWaste_g || 0 }))
+			.filter(({ c, need }) => need > 0 && inventoryGramsFor(c.hex) !== undefined);
+		if (!used.length) {
+			alert("None of the result colors is in the inventory. Inventory colors match by hex code.");
+			return;
+		}
+		const unit = getUnitLabel("skeinWeight");
+		const list = used.map(({ c, need }) => `${getColorDisplayName(c) || c.hex.toUpperCase()}: ${formatValueForDisplay(need, "skeinWeight")} ${unit}`).join("\n");
+		if (!confirm(`Deduct this project from the inventory?\n\n${list}`)) return;
+		used.forEach(({ c, need }) => {
+			let rest = need;
+			inventory.filter(item => normalizeHex(item.hex || "") === normalizeHex(c.hex)).forEach(item => {
+				const take = Math.min(rest, Math.max(0, Number(item.grams) || 0));
+				item.grams = Math.max(0, (Number(item.grams) || 0) - take);
+				rest -= take;
+			});
+		});
+		renderInventoryEditor();
+		inventoryChanged();
+	}
+
 	/* -------------------------- Load on first start ------------------------ */
 	// Fill tolerance label initially
 	colorToleranceValue.textContent = colorTolerance.value;
 
-	// Palette UI defaults
+	// Palette & inventory UI defaults
 	renderPaletteEditor();
+	renderInventoryEditor();
 	populatePaletteSelect();
 	resetFinalPreview();
 	loadBuiltinPaletteIndex();
 
-	// Load presets into dropdown
+	// Load presets, gun profiles, calibrations & shipping rates into dropdowns
 	populatePresetSelect();
+	populateGunProfileSelect();
+	populateCalibrationSelect();
+	populateShippingRateSelect();
 
 	// Restore last settings if present and checkbox is checked (default checked in HTML)
 	const last = loadLastSettings();
@@ -1311,7 +3593,12 @@ document.addEventListener("DOMContentLoaded", () => {
 			rugWidthCm: convertDisplayToMetric("rugLength", rugWidthInput),
 			rugHeightCm: convertDisplayToMetric("rugLength", rugHeightInput),
 			lockAspect: !!lockAspectEl.checked,
+			rugShape: rugShapeEl?.value || "rectangle",
 
+			technique: techniqueEl.value || "tufting",
+			needleSize: needleSizeEl.value || "regular",
+			meshPerCm: optionalMetric(meshCountEl, "density"),
+			pieceLengthMm: optionalMetric(pieceLengthEl, "pileHeight"),
 			pileType: pileTypeEl.value || "cut",
 			pileHeightMm: convertDisplayToMetric("pileHeight", pileHeightInput) || 0,
 
@@ -1327,14 +3614,53 @@ document.addEventListener("DOMContentLoaded", () => {
 			skeinWeightG: skeinWeightInput !== undefined ? convertDisplayToMetric("skeinWeight", skeinWeightInput) : undefined,
 			skeinPrice: posNumOrUndef(skeinPriceEl.value),
 			wastagePercent: numDef(wastagePercentEl.value, 15),
+			uncertainty: {
+				densityPercent: numDef(densityUncertaintyEl.value, 15),
+				pileHeightPercent: numDef(pileUncertaintyEl.value, 10),
+				wastagePoints: numDef(wastageUncertaintyEl.value, 5)
+			},
 
 			alphaThreshold: intDef(alphaThresholdEl.value, 10),
 			minAreaCm2: convertDisplayToMetric("area", minAreaInput),
+			absorbIslands: !!absorbIslandsEl?.checked,
 			tolerance: intDef(colorTolerance.value, 40),
+			quantization: quantizationModeEl.value === "kmeans" ? "kmeans" : "tolerance",
+			deltaEMetric: deltaEMetricEl?.value || "76",
+			colorCount: Math.max(1, Math.min(64, intDef(colorCountEl.value, 8))),
 
 			paletteEnabled: !!paletteState.enabled,
 			paletteName: paletteState.name || "",
-			paletteColors: getPaletteColorsForAnalysis()
+			paletteVendor: paletteState.vendor || "",
+			paletteCurrency: paletteState.currency || "",
+			paletteColors: getPaletteColorsForAnalysis(),
+			paletteMaxColors: Math.max(0, intDef(paletteMaxColorsEl?.value, 0)),
+
+			gunProfile: gunProfileSelectEl.value || "",
+			calibrationId: calibrationSelectEl.value || "",
+			densityFactor: getSelectedCalibration()?.densityFactor,
+			// Full copy (factor and swatch) so a preset survives deleting the calibration
+			calibration: getSelectedCalibration() || undefined,
+
+			frameMarginCm: convertDisplayToMetric("rugLength", numDef(frameMarginEl.value, 10)),
+			primaryPricePerM2: optionalMetric(primaryClothPriceEl, "pricePerArea"),
+			backingOverlapCm: convertDisplayToMetric("rugLength", numDef(backingOverlapEl.value, 5)),
+			backingPricePerM2: optionalMetric(backingPriceEl, "pricePerArea"),
+			glueGPerM2: convertDisplayToMetric("coverage", numDef(glueCoverageEl.value, 1000)),
+			gluePricePerKg: optionalMetric(gluePriceEl, "pricePerMass"),
+			bindingWastePercent: numDef(bindingWasteEl.value, 10),
+			bindingPricePerM: optionalMetric(bindingPriceEl, "pricePerLength"),
+
+			shearingLossPercent: numDef(shearingLossEl.value, 5),
+			glueSolidsPercent: numDef(glueSolidsEl.value, 60),
+			primaryGPerM2: convertDisplayToMetric("coverage", numDef(primaryClothWeightEl.value, 200)),
+			backingGPerM2: convertDisplayToMetric("coverage", numDef(backingWeightEl.value, 300)),
+			shippingRateId: shippingRateSelectEl.value || "",
+
+			stitchesPerMinute: posNumOrUndef(gunSpeedEl.value) ?? defaultWorkingSpeed(techniqueEl.value),
+			finishingHours: numDef(finishingHoursEl.value, 3),
+			hourlyRate: posNumOrUndef(hourlyRateEl.value),
+			overheadPercent: numDef(overheadPercentEl.value, 10),
+			marginPercent: numDef(marginPercentEl.value, 20)
 		};
 	}
 
@@ -1361,6 +3687,10 @@ document.addEventListener("DOMContentLoaded", () => {
 		setFieldFromMetric(rugWidthEl, s.rugWidthCm, "rugLength");
 		setFieldFromMetric(rugHeightEl, s.rugHeightCm, "rugLength");
 
+		if (typeof s.technique === "string") setTechnique(s.technique);
+		setVal(needleSizeEl, s.needleSize);
+		setFieldFromMetric(meshCountEl, s.meshPerCm, "density");
+		setFieldFromMetric(pieceLengthEl, s.pieceLengthMm, "pileHeight");
 		setVal(pileTypeEl, s.pileType);
 		setFieldFromMetric(pileHeightEl, s.pileHeightMm, "pileHeight");
 
@@ -1376,26 +3706,81 @@ document.addEventListener("DOMContentLoaded", () => {
 		setFieldFromMetric(skeinWeightEl, s.skeinWeightG, "skeinWeight");
 		setVal(skeinPriceEl, s.skeinPrice);
 		setVal(wastagePercentEl, s.wastagePercent);
+		setVal(densityUncertaintyEl, s.uncertainty?.densityPercent);
+		setVal(pileUncertaintyEl, s.uncertainty?.pileHeightPercent);
+		setVal(wastageUncertaintyEl, s.uncertainty?.wastagePoints);
+
+		setFieldFromMetric(frameMarginEl, s.frameMarginCm, "rugLength");
+		setFieldFromMetric(primaryClothPriceEl, s.primaryPricePerM2, "pricePerArea");
+		setFieldFromMetric(backingOverlapEl, s.backingOverlapCm, "rugLength");
+		setFieldFromMetric(backingPriceEl, s.backingPricePerM2, "pricePerArea");
+		setFieldFromMetric(glueCoverageEl, s.glueGPerM2, "coverage");
+		setFieldFromMetric(gluePriceEl, s.gluePricePerKg, "pricePerMass");
+		setVal(bindingWasteEl, s.bindingWastePercent);
+		setFieldFromMetric(bindingPriceEl, s.bindingPricePerM, "pricePerLength");
+
+		setVal(shearingLossEl, s.shearingLossPercent);
+		setVal(glueSolidsEl, s.glueSolidsPercent);
+		setFieldFromMetric(primaryClothWeightEl, s.primaryGPerM2, "coverage");
+		setFieldFromMetric(backingWeightEl, s.backingGPerM2, "coverage");
+
+		setVal(gunSpeedEl, s.stitchesPerMinute);
+		setVal(finishingHoursEl, s.finishingHours);
+		setVal(hourlyRateEl, s.hourlyRate);
+		setVal(overheadPercentEl, s.overheadPercent);
+		setVal(marginPercentEl, s.marginPercent);
 
 		setVal(alphaThresholdEl, s.alphaThreshold);
 		const minAreaMetric = resolveMinAreaFromSettings(s);
 		setFieldFromMetric(minAreaEl, minAreaMetric ?? 0.5, "area");
 		setVal(colorTolerance, s.tolerance);
 		colorToleranceValue.textContent = colorTolerance.value;
+		setVal(colorCountEl, s.colorCount);
+		setQuantizationMode(s.quantization || "tolerance");
+		setVal(deltaEMetricEl, s.deltaEMetric);
 
+		setVal(rugShapeEl, s.rugShape);
 		if (typeof s.lockAspect === "boolean") {
 			lockAspectEl.checked = s.lockAspect;
 		}
+		if (typeof s.absorbIslands === "boolean" && absorbIslandsEl) {
+			absorbIslandsEl.checked = s.absorbIslands;
+		}
 
 		paletteState.enabled = !!s.paletteEnabled;
 		paletteState.name = s.paletteName || "";
+		paletteState.vendor = s.paletteVendor || "";
+		paletteState.currency = s.paletteCurrency || "";
 		paletteState.colors = Array.isArray(s.paletteColors)
-			? s.paletteColors.map(c => ({ name: c.name || "", hex: c.hex || "" }))
+			? s.paletteColors.map(c => ({ ...c, name: c.name || "", hex: c.hex || "" }))
 			: [];
 		if (paletteEnabledEl) paletteEnabledEl.checked = paletteState.enabled;
 		if (paletteNameEl) paletteNameEl.value = paletteState.name;
+		setVal(paletteMaxColorsEl, s.paletteMaxColors);
 		renderPaletteEditor();
 
+		if (typeof s.gunProfile === "string") {
+			const known = [...gunProfileSelectEl.options].some(o => o.value === s.gunProfile);
+			gunProfileSelectEl.value = known ? s.gunProfile : "";
+		}
+		refreshGunProfileHint();
+		if (typeof s.calibrationId === "string") {
+			// A calibration deleted since is restored from the copy in the settings
+			// (older settings only kept its density factor)
+			const copy = s.calibration?.densityFactor > 0 ? s.calibration
+				: s.densityFactor > 0 ? { gun: "", yarn: "", densityFactor: s.densityFactor } : null;
+			if (s.calibrationId && copy && !loadCalibrations().some(c => c.id === s.calibrationId)) {
+				saveCalibration({ ...copy, id: s.calibrationId });
+				populateCalibrationSelect();
+			}
+			const known = loadCalibrations().some(c => c.id === s.calibrationId);
+			calibrationSelectEl.value = known ? s.calibrationId : "";
+		}
+		if (typeof s.shippingRateId === "string") {
+			const known = loadShippingRates().some(t => t.id === s.shippingRateId);
+			shippingRateSelectEl.value = known ? s.shippingRateId : "";
+			fillShippingRateEditor(getSelectedShippingRate());
+		}
 	}
 
 	function serializeSettingsForPreset() {
@@ -1431,6 +3816,7 @@ document.addEventListener("DOMContentLoaded", () => {
 	function numDef(v, d) { const n = Number(v); return Number.isFinite(n) ? n : d; }
 	function intDef(v, d) { const n = Math.round(Number(v)); return Number.isFinite(n) ? n : d; }
 	function posNumOrUndef(v) { const n = Number(v); return Number.isFinite(n) && n > 0 ? n : undefined; }
+	function optionalMetric(el, type) { const v = posNumOrUndef(el?.value); return v !== undefined ? convertDisplayToMetric(type, v) : undefined; }
 	function setVal(el, val) { if (!el) return; if (val === undefined || val === null) return; el.value = String(val); }
 	function escapeHtml(s) { return (s ?? "").replace(/[&<>"']/g, m => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" }[m])); }
 
@@ -1457,102 +3843,10 @@ document.addEventListener("DOMContentLoaded", () => {
 		];
 	}
 
-	function remapClustersToPalette(clusters, labels, paletteColors) {
-		if (!clusters?.length || !Array.isArray(paletteColors) || !paletteColors.length) {
-			return null;
-		}
-		const paletteEntries = paletteColors
-			.map((color, idx) => {
-				const rgb = hexToRgbArray(color.hex);
-				if (!rgb) return null;
-				return {
-					index: idx,
-					name: color.name || "",
-					hex: normalizeHex(color.hex),
-					rgb,
-					lab: rgbToLab(rgb[0], rgb[1], rgb[2])
-				};
-			})
-			.filter(Boolean);
-		if (!paletteEntries.length) return null;
-
-		const aggregateByPalette = new Map();
-
-		clusters.forEach((cluster, idx) => {
-			const rgb = hexToRgbArray(cluster.hex);
-			if (!rgb) return;
-			const lab = rgbToLab(rgb[0], rgb[1], rgb[2]);
-			let bestEntry = null;
-			let bestDist = Infinity;
-			for (const entry of paletteEntries) {
-				const dist = deltaE76(lab, entry.lab);
-				if (dist < bestDist) {
-					bestDist = dist;
-					bestEntry = entry;
-				}
-			}
-			if (!bestEntry) return;
-			if (!aggregateByPalette.has(bestEntry.index)) {
-				aggregateByPalette.set(bestEntry.index, {
-					paletteIndex: bestEntry.index,
-					name: bestEntry.name,
-					hex: bestEntry.hex,
-					rgb: bestEntry.rgb,
-					pixelCount: 0,
-					percentValid: 0,
-					areaCm2: 0,
-					clusters: []
-				});
-			}
-			const agg = aggregateByPalette.get(bestEntry.index);
-			agg.pixelCount += cluster.pixelCount || 0;
-			agg.percentValid += cluster.percentValid || 0;
-			agg.areaCm2 += cluster.areaCm2 || 0;
-			agg.clusters.push(idx);
-		});
-
-		if (!aggregateByPalette.size) {
-			return null;
-		}
-
-		const aggregated = Array.from(aggregateByPalette.values()).sort((a, b) => b.pixelCount - a.pixelCount);
-		const clusterToAggIdx = new Array(clusters.length).fill(-1);
-		aggregated.forEach((agg, aggIdx) => {
-			agg.clusters.forEach(clusterIdx => {
-				clusterToAggIdx[clusterIdx] = aggIdx;
-			});
-		});
-
-		const remappedLabels = labels ? new Int16Array(labels.length) : null;
-		if (labels && remappedLabels) {
-			for (let i = 0; i < labels.length; i++) {
-				const orig = labels[i];
-				if (orig < 0) {
-					remappedLabels[i] = -1;
-				} else {
-					remappedLabels[i] = clusterToAggIdx[orig] ?? -1;
-				}
-			}
-		}
-
-		const remappedClusters = aggregated.map((agg, aggIdx) => ({
-			id: aggIdx,
-			rgb: agg.rgb,
-			hex: agg.hex,
-			name: agg.name || "",
-			pixelCount: agg.pixelCount,
-			percentValid: agg.percentValid,
-			areaCm2: agg.areaCm2
-		}));
-
-		return {
-			clusters: remappedClusters,
-			labels: remappedLabels ?? labels
-		};
-	}
-
 	function updateLabelsAfterMerge(targetIdx, removedIdxs) {
 		if (!analysisLabels || !removedIdxs?.length) return targetIdx;
+		// Merged pixels no longer have the yarn they were matched against
+		analysisErrorMap = null;
 		const sortedRemoved = [...removedIdxs].sort((a, b) => a - b);
 		const removedSet = new Set(sortedRemoved);
 		const shiftCache = new Map();
@@ -1591,6 +3885,11 @@ document.addEventListener("DOMContentLoaded", () => {
 		return count;
 	}
 
+	// For PDF text: jsPDF's built-in fonts have no "∆", so the HTML spelling would print garbled
+	function deltaELabel(metric) {
+		return { "94": "CIE94", "2000": "CIEDE2000" }[String(metric)] || "Delta E 76";
+	}
+
 	function getColorDisplayName(color) {
 		if (!color) return "";
 		const hex = typeof color.hex === "string" ? color.hex : "";
@@ -1690,6 +3989,8 @@ document.addEventListener("DOMContentLoaded", () => {
 			{ el: pileHeightEl, type: "pileHeight" },
 			{ el: linesPerCmEl, type: "density" },
 			{ el: stitchesPerCmEl, type: "density" },
+			{ el: meshCountEl, type: "density" },
+			{ el: pieceLengthEl, type: "pileHeight" },
 			{ el: yarnGPerMEl, type: "yarnWeightSpec" },
 			{ el: yarnMPerKgEl, type: "yarnLengthSpec" },
 			{ el: yarnPricePerKgEl, type: "pricePerMass" },
@@ -1697,9 +3998,32 @@ document.addEventListener("DOMContentLoaded", () => {
 			{ el: yhLenM, type: "helperLength" },
 			{ el: yhWtG, type: "helperWeight" },
 			{ el: yhM100, type: "helperLengthPerMass" },
-			{ el: minAreaEl, type: "area" }
+			{ el: minAreaEl, type: "area" },
+			{ el: colorYarnGPerMEl, type: "yarnWeightSpec" },
+			{ el: colorYarnMPerKgEl, type: "yarnLengthSpec" },
+			{ el: colorYarnPriceEl, type: "pricePerMass" },
+			{ el: colorPileHeightEl, type: "pileHeight" },
+			{ el: calWidthEl, type: "rugLength" },
+			{ el: calHeightEl, type: "rugLength" },
+			{ el: calPileHeightEl, type: "pileHeight" },
+			{ el: calGPerMEl, type: "yarnWeightSpec" },
+			{ el: calGramsEl, type: "skeinWeight" },
+			{ el: frameMarginEl, type: "rugLength" },
+			{ el: primaryClothPriceEl, type: "pricePerArea" },
+			{ el: backingOverlapEl, type: "rugLength" },
+			{ el: backingPriceEl, type: "pricePerArea" },
+			{ el: glueCoverageEl, type: "coverage" },
+			{ el: gluePriceEl, type: "pricePerMass" },
+			{ el: bindingPriceEl, type: "pricePerLength" },
+			{ el: primaryClothWeightEl, type: "coverage" },
+			{ el: backingWeightEl, type: "coverage" },
+			{ el: shippingRateDivisorEl, type: "dimDivisor" },
+			{ el: stashTotalEl, type: "skeinWeight" }
 		];
 		fields.forEach(({ el, type }) => convertFieldValueBetweenSystems(el, type, fromSystem, toSystem));
+		// Bracket weights in the rate table editor are typed in display units too
+		const { brackets, invalid } = parseShippingBrackets(shippingRateBracketsEl.value, fromSystem);
+		if (brackets.length && !invalid.length) shippingRateBracketsEl.value = formatShippingBrackets(brackets, toSystem);
 	}
 
 	function convertFieldValueBetweenSystems(el, type, fromSystem, toSystem) {
@@ -1743,10 +4067,14 @@ document.addEventListener("DOMContentLoaded", () => {
 		if (lastPerColor?.length) {
 			renderYarnTable(resultsColors, lastPerColor);
 		}
+		renderMaterials(resultsMaterials, lastMaterials);
+		renderPaletteEditor();
+		renderInventoryEditor();
+		refreshGunProfileHint();
 	}
 
 	/* -------------------------- Summary/Results UI ------------------------- */
-	function renderSummary(container, { clusters, totals, dropped, yarn } = {}) {
+	function renderSummary(container, { clusters, totals, dropped, paletteStats, yarn } = {}) {
 		const fmtLocale = (value, type, digits = 2) => formatValueForDisplay(value, type, { useLocale: true, decimals: digits }) || "0";
 		const fmtPlain = (value, digits = 0) => {
 			const n = Number(value ?? 0);
@@ -1758,29 +4086,64 @@ document.addEventListener("DOMContentLoaded", () => {
 		const currencySymbol = getCurrencySymbol();
 		const totalColors = clusters?.length ?? 0;
 		const droppedInfo = dropped && dropped.length ? ` (dropped ${dropped.length} tiny group${dropped.length > 1 ? 's' : ''})` : '';
+		const totalIslands = (clusters || []).reduce((s, c) => s + (c.islandCount || 0), 0);
+		const absorbedIslands = totals?.islandsAbsorbed || 0;
+		const islandInfo = absorbedIslands ? ` (cleaned up ${absorbedIslands} speck${absorbedIslands > 1 ? 's' : ''} below the minimum area)` : '';
 		const totalLen = yarn?.totals?.totalLength_m ?? 0;
 		const totalW = yarn?.totals?.totalWeightWithWaste_g ?? 0;
 		const totalCost = yarn?.totals?.totalCost ?? 0;
 		const hasCost = totalCost > 0.0001;
 		const totalsObj = totals || {};
+		const hasPlan = (yarn?.totals?.totalSkeins ?? 0) > 0;
+		const purchaseCost = yarn?.totals?.totalPurchaseCost ?? 0;
+		const materialsCost = lastMaterials?.totalCost ?? 0;
+		const shippingLines = describeShipping(computeShipping());
+		const quote = computeQuote();
+		const quoteLines = describeQuote(quote);
+		const rangeNote = (obj, field, type, decimals) => {
+			const range = formatRange(obj, field, type, { useLocale: true, decimals });
+			return range ? ` <span class="estimate-range-inline">(${range})</span>` : "";
+		};
 
 		container.innerHTML = `
-    <p><strong>Detected colors:</strong> ${totalColors}${droppedInfo}</p>
-    <p><strong>Image size:</strong> ${previewCanvas.width}×${previewCanvas.height} px
+    <p><strong>Detected colors:</strong> ${totalColors}${droppedInfo}
+       &nbsp;|&nbsp; <strong>Islands:</strong> ${fmtPlain(totalIslands, 0)}${islandInfo}</p>
+    <p><strong>Analyzed at:</strong> ${analysisSize.width}×${analysisSize.height} px
+       (≈ ${fmtLocale(Math.sqrt(totalsObj.areaPerPixel || 0) * 10, "pileHeight", 1)} ${getUnitLabel("pileHeight")} per pixel)
        &nbsp;|&nbsp; <strong>Valid pixels:</strong> ${fmtPlain(totalsObj.pixelsValid, 0)}</p>
+    ${paletteStats ? `<p><strong>Palette match:</strong> ${paletteStats.yarnsUsed} of ${paletteStats.yarnsAvailable} yarns${paletteStats.subset ? " (best subset)" : ""}
+       &nbsp;|&nbsp; <strong>Average ∆E:</strong> ${fmtPlain(paletteStats.meanDeltaE, 1)}
+       &nbsp;|&nbsp; <strong>Worst ∆E:</strong> ${fmtPlain(paletteStats.maxDeltaE, 1)}</p>` : ""}
+    <p><strong>Rug shape:</strong> ${RUG_SHAPE_LABELS[totalsObj.shape] || RUG_SHAPE_LABELS.rectangle}
+       &nbsp;|&nbsp; <strong>Rug area:</strong> ${fmtLocale(totalsObj.shapeAreaCm2 ?? totalsObj.boxAreaCm2, "area")} ${areaLabel}
+       &nbsp;|&nbsp; <strong>Perimeter:</strong> ${fmtLocale(totalsObj.perimeterCm, "rugLength", 1)} ${getUnitLabel("rugLength")}</p>
     <p><strong>Rug bounding box area:</strong> ${fmtLocale(totalsObj.boxAreaCm2, "area")}
        ${areaLabel}
        &nbsp;|&nbsp; <strong>Estimated tufted area:</strong> ${fmtLocale(totalsObj.areaCm2, "area")} ${areaLabel}</p>
     <p><strong>Yarn (all strands, incl. wastage):</strong>
        ${fmtLocale(totalLen, "yarnTotalLength")}
-       ${lengthLabel} &nbsp;|&nbsp; ${fmtLocale(totalW, "yarnWeightResult")} ${weightLabel}
-       ${hasCost ? `&nbsp;|&nbsp; ~${fmtPlain(totalCost, 2)} ${currencySymbol}` : ""}</p>
+       ${lengthLabel}${rangeNote(yarn?.totals, "totalLength_m", "yarnTotalLength")}
+       &nbsp;|&nbsp; ${fmtLocale(totalW, "yarnWeightResult")} ${weightLabel}${rangeNote(yarn?.totals, "totalWeightWithWaste_g", "yarnWeightResult")}
+       ${hasCost ? `&nbsp;|&nbsp; ~${fmtPlain(totalCost, 2)} ${currencySymbol}${rangeNote(yarn?.totals, "totalCost")}` : ""}</p>
+    ${hasPlan ? `<p><strong>To buy:</strong> ${fmtPlain(yarn.totals.totalSkeins, 0)} skeins/cones${rangeNote(yarn.totals, "totalSkeins", null, 0)}
+       &nbsp;|&nbsp; <strong>Leftover:</strong> ${fmtLocale(yarn.totals.totalLeftover_g, "yarnWeightResult")} ${weightLabel}
+       ${purchaseCost > 0.0001 ? `&nbsp;|&nbsp; <strong>Cost of whole units:</strong> ${fmtPlain(purchaseCost, 2)} ${currencySymbol}${rangeNote(yarn.totals, "totalPurchaseCost")}` : ""}</p>` : ""}
+    ${materialsCost > 0.0001 ? `<p><strong>Backing &amp; finishing:</strong> ~${fmtPlain(materialsCost, 2)} ${currencySymbol}
+       &nbsp;|&nbsp; <strong>Yarn + materials:</strong> ~${fmtPlain(yarnSpend(yarn?.totals) + materialsCost, 2)} ${currencySymbol}</p>` : ""}
+    ${shippingLines ? `<p><strong>Finished rug:</strong> ${escapeHtml(shippingLines.weight)}
+       &nbsp;|&nbsp; <strong>Packed:</strong> ${escapeHtml(shippingLines.packed)}</p>` : ""}
+    ${shippingLines?.shipping ? `<p><strong>Shipping:</strong> ${escapeHtml(shippingLines.shipping)}</p>` : ""}
+    ${quoteLines ? `<p><strong>Making time:</strong> ${escapeHtml(quoteLines.time)}</p>` : ""}
+    ${quoteLines?.price ? `<p><strong>Quote:</strong> ${escapeHtml(quoteLines.price)}</p>` : ""}
   `;
 
 	}
 
 	function renderYarnTable(container, perColor) {
 		lastPerColor = perColor || [];
+		renderMaxSizeSolver();
+		renderScenarioComparison();
+		renderProjectYarns(resultsYarns);
 
 		if (!lastPerColor.length) {
 			container.innerHTML = `<p>No color groups above the minimum area threshold.</p>`;
@@ -1791,6 +4154,8 @@ document.addEventListener("DOMContentLoaded", () => {
 		const lengthHeader = `Yarn (${getUnitLabel("yarnTotalLength")})`;
 		const weightHeader = `Weight (${getUnitLabel("yarnWeightResult")}, incl. waste)`;
 		const costHeader = `Cost (${getCurrencySymbol()})`;
+		const showPlan = hasPurchasePlan(lastPerColor);
+		const showStock = hasInventoryMatch(lastPerColor);
 		const rows = lastPerColor.map((c, idx) => {
 			const pct = c.percentValid.toFixed(2);
 			const area = formatValueForDisplay(c.areaCm2, "area");
@@ -1798,18 +4163,30 @@ document.addEventListener("DOMContentLoaded", () => {
 			const w = formatValueForDisplay(c.yarnWeightWithWaste_g, "yarnWeightResult");
 			const cost = c.yarnCost ? Number(c.yarnCost).toLocaleString(undefined, { maximumFractionDigits: 2 }) : "";
 			const name = getColorDisplayName(c);
+			const yarnSpec = escapeHtml(describeColorYarn(c));
+			const pileSpec = escapeHtml(describeColorPile(c));
+			const islandTitle = escapeHtml(describeIslands(c));
 			const selectedClass = selectedColorIdxs.has(idx) ? " color-row-selected" : "";
 			return `
 	<tr data-row="${idx}" class="color-row${selectedClass}">
 	  <td style="white-space:nowrap;">
 	    <span class="swatch" style="background:${c.hex}; border:1px solid #ccc; width:18px; height:18px; display:inline-block; vertical-align:middle; margin-right:8px; border-radius:3px;"></span>
 	    ${c.hex.toUpperCase()} ${name ? `&nbsp;<em style="color:#555;">(${escapeHtml(name)})</em>` : ""}
+	    ${Number.isFinite(c.matchDeltaE) ? `&nbsp;<span class="match-delta-e" title="Palette match: average ∆E, worst ${formatNumber(c.matchDeltaEMax, 1)}">∆E ${formatNumber(c.matchDeltaE, 1)}</span>` : ""}
 	  </td>
 	  <td style="text-align:right;">${pct}%</td>
+	  <td style="text-align:right; white-space:nowrap;"${c.yarnOverridden ? ` class="color-yarn-custom"` : ""}>${yarnSpec}</td>
+	  <td style="text-align:right; white-space:nowrap;"${c.pileOverridden ? ` class="color-yarn-custom"` : ""}>${pileSpec}</td>
 	  <td style="text-align:right;">${area}</td>
-	  <td style="text-align:right;">${len}</td>
-	  <td style="text-align:right;">${w}</td>
-	  <td style="text-align:right;">${cost}</td>
+	  <td style="text-align:right;" title="${islandTitle}">${c.islandCount ?? ""}</td>
+	  <td style="text-align:right;">${len}${rangeSpan(formatRange(c, "yarnLength_m", "yarnTotalLength"))}</td>
+	  <td style="text-align:right;">${w}${rangeSpan(formatRange(c, "yarnWeightWithWaste_g", "yarnWeightResult"))}</td>
+	  <td style="text-align:right;">${cost}${cost ? rangeSpan(formatRange(c, "yarnCost", null, { useLocale: true })) : ""}</td>
+	  ${showPlan ? `
+	  <td style="text-align:right;">${c.skeinsToBuy ?? ""}${rangeSpan(formatRange(c, "skeinsToBuy", null, { decimals: 0 }))}</td>
+	  <td style="text-align:right;">${formatValueForDisplay(c.skeinLeftover_g, "yarnWeightResult")}</td>
+	  <td style="text-align:right;">${c.purchaseCost ? Number(c.purchaseCost).toLocaleString(undefined, { maximumFractionDigits: 2 }) : ""}${c.purchaseCost ? rangeSpan(formatRange(c, "purchaseCost", null, { useLocale: true })) : ""}</td>` : ""}
+	  ${showStock ? stockCells(c) : ""}
 	</tr>
       `;
 		}).join("");
@@ -1821,10 +4198,20 @@ document.addEventListener("DOMContentLoaded", () => {
 	    <tr>
 	      <th style="text-align:left; border-bottom:1px solid #eee; padding-bottom:6px;">Color</th>
 	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">% of valid</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Yarn × strands</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Pile</th>
 	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">${areaHeader}</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;" title="Separate patches of this color; hover a cell for their areas">Islands</th>
 	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">${lengthHeader}</th>
 	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">${weightHeader}</th>
 	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">${costHeader}</th>
+	      ${showPlan ? `
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Skeins to buy</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Leftover (${getUnitLabel("yarnWeightResult")})</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">Purchase (${getCurrencySymbol()})</th>` : ""}
+	      ${showStock ? `
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;">On hand (${getUnitLabel("yarnWeightResult")})</th>
+	      <th style="text-align:right; border-bottom:1px solid #eee; padding-bottom:6px;" title="Still to buy: weight incl. waste minus what is on hand">Shortfall (${getUnitLabel("yarnWeightResult")})</th>` : ""}
 	    </tr>
 	  </thead>
 	  <tbody>${rows}</tbody>
@@ -1943,7 +4330,10 @@ document.addEventListener("DOMContentLoaded", () => {
 	}
 
 
-	overlayModeEl.addEventListener("change", drawOverlay);
+	overlayModeEl.addEventListener("change", () => {
+		if (overlayHeatmapHintEl) overlayHeatmapHintEl.hidden = overlayModeEl.value !== "heatmap";
+		drawOverlay();
+	});
 	overlayDimEl.addEventListener("input", drawOverlay);
 
 	function resetFinalPreview() {
@@ -1961,13 +4351,15 @@ document.addEventListener("DOMContentLoaded", () => {
 			return;
 		}
 
+		// Drawn at preview size: the label map can be far larger than a canvas should be
 		const ctx = finalPreviewCanvas.getContext("2d");
-		finalPreviewCanvas.width = analysisSize.width;
-		finalPreviewCanvas.height = analysisSize.height;
-		const image = ctx.createImageData(analysisSize.width, analysisSize.height);
+		finalPreviewCanvas.width = previewCanvas.width;
+		finalPreviewCanvas.height = previewCanvas.height;
+		const image = ctx.createImageData(previewCanvas.width, previewCanvas.height);
+		const labelIndex = previewLabelIndexMap(image.width, image.height);
 		const colors = lastPerColor.map(c => hexToRgbArray(c.hex));
-		for (let i = 0, p = 0; i < analysisLabels.length; i++, p += 4) {
-			const label = analysisLabels[i];
+		for (let i = 0, p = 0; i < labelIndex.length; i++, p += 4) {
+			const label = analysisLabels[labelIndex[i]];
 			const rgb = label >= 0 ? colors[label] : null;
 			if (!rgb) {
 				image.data[p] = 0;
@@ -1986,10 +4378,73 @@ document.addEventListener("DOMContentLoaded", () => {
 		finalPreviewPlaceholder.style.display = "none";
 	}
 
+	// Label map pixels that belong to a color (the label map can hold tens of millions)
+	function countLabelledPixels() {
+		if (!analysisLabels) return 0;
+		let count = 0;
+		for (let i = 0; i < analysisLabels.length; i++) if (analysisLabels[i] >= 0) count++;
+		return count;
+	}
+
+	// Preview pixel -> index into analysisLabels (the label map is usually larger than the preview)
+	function labelIndexAtPreview(x, y) {
+		const lx = Math.min(analysisSize.width - 1, Math.floor(x * analysisSize.width / previewCanvas.width));
+		const ly = Math.min(analysisSize.height - 1, Math.floor(y * analysisSize.height / previewCanvas.height));
+		return ly * analysisSize.width + lx;
+	}
+
+	function previewLabelIndexMap(width, height) {
+		const key = `${width}x${height}:${analysisSize.width}x${analysisSize.height}`;
+		if (previewLabelIndexCache?.key === key) return previewLabelIndexCache.map;
+		const map = new Int32Array(width * height);
+		for (let y = 0, i = 0; y < height; y++) {
+			for (let x = 0; x < width; x++, i++) map[i] = labelIndexAtPreview(x, y);
+		}
+		previewLabelIndexCache = { key, map };
+		return map;
+	}
+
 	function drawOverlay() {
+		paintOverlay();
+		drawRugOutline();
+	}
+
+	// Dashed outline of a round / oval / arch rug over the preview (the image fills its box)
+	function drawRugOutline() {
+		const shape = rugShapeEl?.value || "rectangle";
+		if (!baseImageData || shape === "rectangle" || shape === "alpha") return;
+		const W = num(rugWidthEl.value), H = num(rugHeightEl.value);
+		if (!(W > 0 && H > 0)) return;
+
+		const pw = previewCanvas.width, ph = previewCanvas.height;
+		const sx = pw / W, sy = ph / H; // display units cancel out: only proportions matter
+		const ctx = previewCanvas.getContext("2d");
+		ctx.save();
+		ctx.beginPath();
+		if (shape === "circle") {
+			const r = Math.min(W, H) / 2;
+			ctx.ellipse(pw / 2, ph / 2, r * sx, r * sy, 0, 0, 2 * Math.PI);
+		} else if (shape === "oval") {
+			ctx.ellipse(pw / 2, ph / 2, pw / 2, ph / 2, 0, 0, 2 * Math.PI);
+		} else if (shape === "arch") {
+			const ry = Math.min(W / 2, H) * sy;
+			ctx.moveTo(0, ph);
+			ctx.lineTo(0, ry);
+			ctx.ellipse(pw / 2, ry, pw / 2, ry, 0, Math.PI, 2 * Math.PI);
+			ctx.lineTo(pw, ph);
+			ctx.closePath();
+		}
+		ctx.setLineDash([6, 4]);
+		ctx.lineWidth = 2;
+		ctx.strokeStyle = "#2563eb";
+		ctx.stroke();
+		ctx.restore();
+	}
+
+	function paintOverlay() {
 		if (!baseImageData) return;
 
-		const mode = overlayModeEl.value; // none | highlight | isolate | hide
+		const mode = overlayModeEl.value; // none | highlight | isolate | hide | heatmap
 		const dimPct = Math.max(0, Math.min(95, Number(overlayDimEl.value || 70)));
 		const dimFactor = 1 - dimPct / 100;
 
@@ -2002,6 +4457,10 @@ document.addEventListener("DOMContentLoaded", () => {
 		const canHoverHighlight = (!hasSelection && mode === "none" && analysisLabels && hoverClusterIdx >= 0);
 
 		if (!analysisLabels) return;
+		if (mode === "heatmap") {
+			paintErrorHeatmap(ctx);
+			return;
+		}
 
 		if (!hasSelection && mode === "none" && !canHoverHighlight) {
 			// no selection, no overlay, nothing to do
@@ -2013,10 +4472,11 @@ document.addEventListener("DOMContentLoaded", () => {
 		const labels = analysisLabels;
 
 		// Safety
-		if (labels.length !== (img.width * img.height)) {
+		if (labels.length !== (analysisSize.width * analysisSize.height)) {
 			ctx.putImageData(img, 0, 0);
 			return;
 		}
+		const labelIndex = previewLabelIndexMap(img.width, img.height);
 
 		// Hover-only dim factor (softer than the main dim)
 		const hoverDimFactor = 0.5; // 50% brightness for non-hovered pixels
@@ -2024,8 +4484,8 @@ document.addEventListener("DOMContentLoaded", () => {
 		// Fast membership check
 		const selected = hasSelection ? new Set(selectedColorIdxs) : null;
 
-		for (let i = 0, p = 0; i < labels.length; i++, p += 4) {
-			const lab = labels[i]; // -1 transparent/ignored
+		for (let i = 0, p = 0; i < labelIndex.length; i++, p += 4) {
+			const lab = labels[labelIndex[i]]; // -1 transparent/ignored
 			if (lab < 0) continue;
 
 			if (canHoverHighlight) {
@@ -2063,6 +4523,26 @@ document.addEventListener("DOMContentLoaded", () => {
 		ctx.putImageData(img, 0, 0);
 	}
 
+	// Palette match ∆E per pixel over the preview: green 0, yellow 10, red 20+ (in ∆E76 terms)
+	function paintErrorHeatmap(ctx) {
+		const errors = analysisErrorMap;
+		if (!errors || errors.length !== analysisSize.width * analysisSize.height) return;
+		const redDeltaE = 20 * deltaEScale(analysisDeltaEMetric);
+
+		const img = ctx.getImageData(0, 0, previewCanvas.width, previewCanvas.height);
+		const data = img.data;
+		const labelIndex = previewLabelIndexMap(img.width, img.height);
+		for (let i = 0, p = 0; i < labelIndex.length; i++, p += 4) {
+			const idx = labelIndex[i];
+			if (analysisLabels[idx] < 0) continue;
+			const t = Math.min(1, errors[idx] / redDeltaE);
+			data[p] = Math.round(255 * Math.min(1, 2 * t));
+			data[p + 1] = Math.round(200 * Math.min(1, 2 - 2 * t));
+			data[p + 2] = 40;
+		}
+		ctx.putImageData(img, 0, 0);
+	}
+
 	function exportToPDF() {
 		// jsPDF in UMD
 		const { jsPDF } = window.jspdf;
@@ -2112,13 +4592,22 @@ document.addEventListener("DOMContentLoaded", () => {
 		const lengthLabel = getUnitLabel("yarnTotalLength");
 		const weightLabel = getUnitLabel("yarnWeightResult");
 		const currencySymbol = getCurrencySymbol();
+		const calibration = getSelectedCalibration();
 		const paramLines = [
 			`Mode: ${params.mode === "advanced" ? "Advanced" : "Beginner"}`,
-			`Rug size: ${fmtDisplay(params.rugWidthCm, "rugLength")} × ${fmtDisplay(params.rugHeightCm, "rugLength")} ${rugUnit}`,
-			`Pile: ${params.pileType}, ${fmtDisplay(params.pileHeightMm, "pileHeight")} ${pileUnit}`,
-			params.mode === "advanced"
-				? `Density: ${fmtDisplay(params.linesPerCm, "density")} lines/${densityUnit} × ${fmtDisplay(params.stitchesPerCm, "density")} stitches/${densityUnit}`
-				: `Density preset: ${params.densityPreset}`,
+			`Rug size: ${fmtDisplay(params.rugWidthCm, "rugLength")} × ${fmtDisplay(params.rugHeightCm, "rugLength")} ${rugUnit} | Shape: ${RUG_SHAPE_LABELS[params.rugShape] || RUG_SHAPE_LABELS.rectangle}`,
+			params.technique === "tufting"
+				? `Pile: ${params.pileType}, ${fmtDisplay(params.pileHeightMm, "pileHeight")} ${pileUnit}`
+				: `Technique: ${describeTechnique(params)}`,
+			params.technique === "latch"
+				? `Density: one knot per mesh hole`
+				: params.mode === "advanced"
+					? `Density: ${fmtDisplay(params.linesPerCm, "density")} lines/${densityUnit} × ${fmtDisplay(params.stitchesPerCm, "density")} stitches/${densityUnit}`
+					: params.technique === "punch"
+						? `Density: usual spacing of a ${params.needleSize} needle`
+						: calibration
+							? `Density: calibrated, ${describeCalibration(calibration)}`
+							: `Density preset: ${params.densityPreset}`,
 			`Yarn: ${params.yarnName || "—"} | Strands: ${params.strands}`,
 			params.yarnGPerM
 				? `Yarn weight: ${fmtDisplay(params.yarnGPerM, "yarnWeightSpec")} ${getUnitLabel("yarnWeightSpec")}`
@@ -2126,12 +4615,28 @@ document.addEventListener("DOMContentLoaded", () => {
 					? `Yarn length: ${fmtDisplay(params.yarnMPerKg, "yarnLengthSpec")} ${getUnitLabel("yarnLengthSpec")}`
 					: `Yarn spec: default (set in app)`,
 			`Wastage: ${fmt(params.wastagePercent)}%`,
-			`Tolerance: ${params.tolerance}`,
+			params.quantization === "kmeans"
+				? `Colors: ${params.colorCount} (k-means)`
+				: `Tolerance: ${params.tolerance} (${deltaELabel(params.deltaEMetric)})`,
 			`Min area: ${fmtDisplay(params.minAreaCm2, "area")} ${areaLabel}`,
 			`Alpha <= ${params.alphaThreshold} ignored`
 		];
+		const pileRegions = summarizePileRegions(lastPerColor);
+		if (pileRegions.length > 1) {
+			paramLines.push("Pile regions:");
+			pileRegions.forEach(r => {
+				paramLines.push(`  • ${r.pileType}, ${fmtDisplay(r.pileHeightMm, "pileHeight")} ${pileUnit} — ${r.colors} color${r.colors > 1 ? "s" : ""}, ${formatNumber(r.percentValid, 1)}%`);
+			});
+		}
+		const customYarnCount = lastPerColor.filter(c => c.yarnOverridden).length;
+		if (customYarnCount) {
+			paramLines.push(`Per-color yarn: ${customYarnCount} color${customYarnCount > 1 ? "s use" : " uses"} a custom yarn (see table)`);
+		}
 		if (params.paletteEnabled && params.paletteColors?.length) {
-			paramLines.push(`Palette: ${(params.paletteName || "Custom palette")} (${params.paletteColors.length} colors)`);
+			const subsetNote = params.paletteMaxColors > 0 && params.paletteMaxColors < params.paletteColors.length
+				? `best ${params.paletteMaxColors} of ${params.paletteColors.length} colors`
+				: `${params.paletteColors.length} colors`;
+			paramLines.push(`Palette: ${(params.paletteName || "Custom palette")} (${subsetNote}, ${deltaELabel(params.deltaEMetric)} matching)`);
 		}
 
 		if (params.yarnPricePerKg && params.yarnPricePerKg > 0) {
@@ -2173,11 +4678,56 @@ document.addEventListener("DOMContentLoaded", () => {
 		doc.text("Totals", colX, y);
 		doc.setFont("helvetica", "normal");
 		y += 14;
+		const rugTotals = lastRenderPayload?.totals || {};
+		if (Number.isFinite(rugTotals.shapeAreaCm2)) {
+			doc.text(`Rug area: ${fmtDisplay(rugTotals.shapeAreaCm2, "area")} ${areaLabel} | Perimeter: ${fmtDisplay(rugTotals.perimeterCm, "rugLength")} ${rugUnit}`, colX, y); y += 12;
+		}
 		doc.text(`Area (kept colors): ${fmtDisplay(totalA, "area")} ${areaLabel}`, colX, y); y += 12;
-		doc.text(`Yarn length (all strands): ${fmtDisplay(totalLen, "yarnTotalLength")} ${lengthLabel}`, colX, y); y += 12;
-		doc.text(`Weight incl. wastage: ${fmtDisplay(totalW, "yarnWeightResult")} ${weightLabel}`, colX, y); y += 12;
+		// Low–high bounds from the uncertainty settings, next to the expected value
+		const yarnTotals = lastRenderPayload?.yarn?.totals;
+		const pdfRange = (field, type, decimals) => {
+			const range = formatRange(yarnTotals, field, type, { decimals });
+			return range ? ` (${range})` : "";
+		};
+		doc.text(`Yarn length (all strands): ${fmtDisplay(totalLen, "yarnTotalLength")} ${lengthLabel}${pdfRange("totalLength_m", "yarnTotalLength")}`, colX, y); y += 12;
+		doc.text(`Weight incl. wastage: ${fmtDisplay(totalW, "yarnWeightResult")} ${weightLabel}${pdfRange("totalWeightWithWaste_g", "yarnWeightResult")}`, colX, y); y += 12;
 		if (totalCost > 0.0001) {
-			doc.text(`Yarn cost: ~${currencySymbol}${formatNumber(totalCost, 2)}`, colX, y); y += 12;
+			doc.text(`Yarn cost: ~${currencySymbol}${formatNumber(totalCost, 2)}${pdfRange("totalCost")}`, colX, y); y += 12;
+		}
+		const showPlan = hasPurchasePlan(lastPerColor);
+		if (showPlan) {
+			const totalSkeins = yarnTotals?.totalSkeins ?? 0;
+			const totalLeftover = yarnTotals?.totalLeftover_g ?? 0;
+			const totalPurchase = yarnTotals?.totalPurchaseCost ?? 0;
+			doc.text(`To buy: ${totalSkeins} skeins/cones${pdfRange("totalSkeins", null, 0)}, ${fmtDisplay(params.skeinWeightG, "skeinWeight")} ${skeinUnit} each`, colX, y); y += 12;
+			doc.text(`Leftover: ${fmtDisplay(totalLeftover, "yarnWeightResult")} ${weightLabel}`, colX, y); y += 12;
+			if (totalPurchase > 0.0001) {
+				doc.text(`Cost of whole units: ${currencySymbol}${formatNumber(totalPurchase, 2)}${pdfRange("totalPurchaseCost")}`, colX, y); y += 12;
+			}
+		}
+		if (lastMaterials) {
+			materialLineItems(lastMaterials).forEach(item => {
+				const cost = item.cost > 0 ? ` — ${currencySymbol}${formatNumber(item.cost, 2)}` : "";
+				doc.text(`${item.label}: ${item.size ? `${item.size}, ` : ""}${item.quantity} ${item.unit}${cost}`, colX, y); y += 12;
+			});
+			if (lastMaterials.totalCost > 0.0001) {
+				doc.text(`Backing & finishing: ~${currencySymbol}${formatNumber(lastMaterials.totalCost, 2)}`, colX, y); y += 12;
+			}
+		}
+		const shippingLines = describeShipping(computeShipping());
+		if (shippingLines) {
+			doc.text(`Finished weight: ${shippingLines.weight}`, colX, y); y += 12;
+			doc.text(`Packed: ${shippingLines.packed}`, colX, y); y += 12;
+			if (shippingLines.shipping) {
+				doc.text(`Shipping: ${shippingLines.shipping}`, colX, y); y += 12;
+			}
+		}
+		const quoteLines = describeQuote(computeQuote());
+		if (quoteLines) {
+			doc.text(`Making time: ${quoteLines.time}`, colX, y); y += 12;
+			if (quoteLines.price) {
+				doc.text(`Quote: ${quoteLines.price}`, colX, y); y += 12;
+			}
 		}
 
 		// Move below image if needed
@@ -2189,13 +4739,22 @@ document.addEventListener("DOMContentLoaded", () => {
 			const name = getColorDisplayName(c) || "";
 			return {
 				swatch: c.hex,                 // we'll draw the square in didDrawCell
-				color: name ? `${c.hex.toUpperCase()} (${name})` : c.hex.toUpperCase(),
+				color: (name ? `${c.hex.toUpperCase()} (${name})` : c.hex.toUpperCase())
+					+ (Number.isFinite(c.matchDeltaE) ? ` dE ${formatNumber(c.matchDeltaE, 1)}` : ""),
 				percent: `${formatNumber(c.percentValid, 2)}%`,
+				yarnspec: describeColorYarn(c),
+				pile: describeColorPile(c),
 				area: formatValueForDisplay(c.areaCm2, "area"),
-				yarnm: formatValueForDisplay(c.yarnLength_m, "yarnTotalLength"),
-				weightg: formatValueForDisplay(c.yarnWeightWithWaste_g, "yarnWeightResult"),
+				islands: c.islandCount ?? "",
+				yarnm: withRangeLine(formatValueForDisplay(c.yarnLength_m, "yarnTotalLength"), formatRange(c, "yarnLength_m", "yarnTotalLength")),
+				weightg: withRangeLine(formatValueForDisplay(c.yarnWeightWithWaste_g, "yarnWeightResult"), formatRange(c, "yarnWeightWithWaste_g", "yarnWeightResult")),
 				pixels: c.pixelCount.toLocaleString(),
-				cost: c.yarnCost ? formatNumber(c.yarnCost, 2) : "",
+				cost: c.yarnCost ? withRangeLine(formatNumber(c.yarnCost, 2), formatRange(c, "yarnCost")) : "",
+				skeins: Number.isFinite(c.skeinsToBuy) ? withRangeLine(String(c.skeinsToBuy), formatRange(c, "skeinsToBuy", null, { decimals: 0 })) : "",
+				leftover: formatValueForDisplay(c.skeinLeftover_g, "yarnWeightResult"),
+				purchase: c.purchaseCost ? formatNumber(c.purchaseCost, 2) : "",
+				onhand: formatValueForDisplay(colorStock(c).onHand_g, "yarnWeightResult"),
+				shortfall: formatValueForDisplay(colorStock(c).shortfall_g, "yarnWeightResult"),
 			};
 		});
 
@@ -2215,11 +4774,23 @@ document.addEventListener("DOMContentLoaded", () => {
 				{ header: "", dataKey: "swatch" }, // no header text for the swatch
 				{ header: "Color", dataKey: "color" },
 				{ header: "% of valid", dataKey: "percent" },
+				{ header: "Yarn × strands", dataKey: "yarnspec" },
+				{ header: "Pile", dataKey: "pile" },
 				{ header: `Area (${areaLabel})`, dataKey: "area" },
+				{ header: "Islands", dataKey: "islands" },
 				{ header: `Yarn (${lengthLabel})`, dataKey: "yarnm" },
 				{ header: `Weight (${weightLabel}, incl. waste)`, dataKey: "weightg" },
 				{ header: "Pixels", dataKey: "pixels" },
-				{ header: `Cost (${currencySymbol})`, dataKey: "cost" }
+				{ header: `Cost (${currencySymbol})`, dataKey: "cost" },
+				...(showPlan ? [
+					{ header: "Skeins", dataKey: "skeins" },
+					{ header: `Leftover (${weightLabel})`, dataKey: "leftover" },
+					{ header: `Purchase (${currencySymbol})`, dataKey: "purchase" }
+				] : []),
+				...(hasInventoryMatch(lastPerColor) ? [
+					{ header: `On hand (${weightLabel})`, dataKey: "onhand" },
+					{ header: `Shortfall (${weightLabel})`, dataKey: "shortfall" }
+				] : [])
 			],
 			body: rows,
 
@@ -2248,6 +4819,52 @@ document.addEventListener("DOMContentLoaded", () => {
 			}
 		});
 
+		// --- Blended colors: yarns pooled across the colors that use them
+		const yarns = projectYarns();
+		if (yarns) {
+			let yarnsY = doc.lastAutoTable ? doc.lastAutoTable.finalY + 24 : y + 24;
+			if (yarnsY > doc.internal.pageSize.getHeight() - 80) {
+				doc.addPage();
+				yarnsY = margin;
+			}
+			doc.setFont("helvetica", "bold");
+			doc.setFontSize(12);
+			doc.setTextColor(0);
+			doc.text("Yarns to buy", margin, yarnsY);
+
+			doc.autoTable({
+				startY: yarnsY + 14,
+				styles: { font: "helvetica", fontSize: 9, cellPadding: 4, overflow: "linebreak" },
+				headStyles: { fillColor: [37, 99, 235] },
+				columns: [
+					{ header: "Yarn", dataKey: "yarn" },
+					{ header: "Used in", dataKey: "usedby" },
+					{ header: `Yarn (${lengthLabel})`, dataKey: "yarnm" },
+					{ header: `Weight (${weightLabel}, incl. waste)`, dataKey: "weightg" },
+					{ header: `Cost (${currencySymbol})`, dataKey: "cost" },
+					...(showPlan ? [
+						{ header: "Skeins", dataKey: "skeins" },
+						{ header: `Purchase (${currencySymbol})`, dataKey: "purchase" }
+					] : []),
+					...(yarns.some(yarn => inventoryGramsFor(yarn.hex) !== undefined) ? [
+						{ header: `On hand (${weightLabel})`, dataKey: "onhand" },
+						{ header: `Shortfall (${weightLabel})`, dataKey: "shortfall" }
+					] : [])
+				],
+				body: yarns.map(yarn => ({
+					yarn: yarn.name ? `${yarn.hex.toUpperCase()} (${yarn.name})` : yarn.hex.toUpperCase(),
+					usedby: yarn.usedBy.map(hex => getColorDisplayName(lastPerColor.find(c => c.hex === hex)) || hex.toUpperCase()).join(", "),
+					yarnm: formatValueForDisplay(yarn.yarnLength_m, "yarnTotalLength"),
+					weightg: formatValueForDisplay(yarn.yarnWeightWithWaste_g, "yarnWeightResult"),
+					cost: yarn.yarnCost ? formatNumber(yarn.yarnCost, 2) : "",
+					skeins: Number.isFinite(yarn.skeinsToBuy) ? String(yarn.skeinsToBuy) : "",
+					purchase: yarn.purchaseCost ? formatNumber(yarn.purchaseCost, 2) : "",
+					onhand: formatValueForDisplay(colorStock(yarn).onHand_g, "yarnWeightResult"),
+					shortfall: formatValueForDisplay(colorStock(yarn).shortfall_g, "yarnWeightResult")
+				}))
+			});
+		}
+
 		// --- Footer mini-note
 		const endY = doc.lastAutoTable ? doc.lastAutoTable.finalY + 12 : y + 24;
 		doc.setFontSize(8);
@@ -2259,6 +4876,9 @@ document.addEventListener("DOMContentLoaded", () => {
 		doc.save(`tufting_yarn_${safeName}.pdf`);
 
 		// helpers
+		function withRangeLine(value, range) {
+			return range ? `${value}\n(${range})` : value;
+		}
 		function fmt(n, d = 2) {
 			const v = Number(n);
 			if (!Number.isFinite(v)) return "—";
@@ -2293,16 +4913,17 @@ document.addEventListener("DOMContentLoaded", () => {
 			return { r, g, b };
 		}
 
-		function getCanvasThumb(canvas) {
-			if (!canvas || !canvas.width || !canvas.height) return null;
-			const maxW = 240, maxH = 180;
-			const ratio = Math.min(maxW / canvas.width, maxH / canvas.height, 1);
-			const w = Math.round(canvas.width * ratio);
-			const h = Math.round(canvas.height * ratio);
-			const dataUrl = canvas.toDataURL("image/png", 0.92);
-			return { w, h, dataUrl };
-		}
+	}
 
+	// PNG thumbnail of a canvas that fits the PDF image slot
+	function getCanvasThumb(canvas) {
+		if (!canvas || !canvas.width || !canvas.height) return null;
+		const maxW = 240, maxH = 180;
+		const ratio = Math.min(maxW / canvas.width, maxH / canvas.height, 1);
+		const w = Math.round(canvas.width * ratio);
+		const h = Math.round(canvas.height * ratio);
+		const dataUrl = canvas.toDataURL("image/png", 0.92);
+		return { w, h, dataUrl };
 	}
 
 	function updateActionButtons() {
@@ -2311,10 +4932,21 @@ document.addEventListener("DOMContentLoaded", () => {
 		renameBtn.disabled = !(selectionCount === 1);
 		// Enable Merge when 2+ rows are selected
 		mergeBtn.disabled = !(selectionCount >= 2);
+		// Per-color yarn applies to any selection
+		colorYarnApplyBtn.disabled = selectionCount === 0;
+		colorYarnClearBtn.disabled = selectionCount === 0;
+		colorPileApplyBtn.disabled = selectionCount === 0;
+		colorPileClearBtn.disabled = selectionCount === 0;
+		colorBlendApplyBtn.disabled = selectionCount === 0;
+		colorBlendClearBtn.disabled = selectionCount === 0;
 		// Enable exports when we have results
 		const hasRows = lastPerColor && lastPerColor.length > 0;
 		exportCsvBtn.disabled = !hasRows;
 		exportPdfBtn.disabled = !hasRows;
+		exportQuoteBtn.disabled = !hasRows;
+		shoppingCsvBtn.disabled = !hasRows;
+		shoppingPdfBtn.disabled = !hasRows;
+		inventoryDeductBtn.disabled = !hasRows;
 	}
 
 	updateActionButtons();
@@ -1,12 +1,61 @@
 // calculation.js
-// Compute yarn length & weight from areas and parameters (single yarn type per project).
+// Compute yarn length & weight from areas and parameters.
+// Project-level yarn settings are the default; each color may carry its own yarn spec.
+// Gun tufting, punch needle and latch hook each have their own length-per-area model.
+
+const DEFAULT_G_PER_M = 0.5;
+const BASELINE_M_PER_M2_CUT_12MM = 1200; // m/m² @ medium, cut, 12 mm
+// Typical stitch grid (lines × stitches per cm) when only a density preset is known
+const PRESET_STITCH_GRID = { low: [2.5, 2.5], medium: [3, 3], high: [3.5, 3.5] };
+// Punch needle sizes: typical loop height and the rows/loops per cm they are punched at
+const PUNCH_NEEDLES = {
+  fine: { loopHeightMm: 4, gridPerCm: 4 },
+  medium: { loopHeightMm: 6, gridPerCm: 3 },
+  regular: { loopHeightMm: 8, gridPerCm: 2.5 },
+};
+// Latch hook defaults: 3.75 mesh (holes per inch) canvas and 2.5" precut pieces
+const LATCH_MESH_PER_CM = 3.75 / 2.54;
+const LATCH_PIECE_MM = 63.5;
+// Typical effective working speed per technique: gun stitches, punched loops or hooked knots per minute
+const WORKING_SPEED = { tufting: 300, punch: 60, latch: 4 };
+
+/**
+ * Convert a yarn spec to grams per meter (single strand).
+ * Prefers g/m, falls back to m/kg. Returns undefined when neither is usable.
+ */
+export function yarnGramsPerMeter({ yarnGPerM, yarnMPerKg } = {}) {
+  if (isFiniteNum(yarnGPerM) && yarnGPerM > 0) return Number(yarnGPerM);
+  // m/kg  -> g/m  (1 kg / m_per_kg = g per m)
+  if (isFiniteNum(yarnMPerKg) && yarnMPerKg > 0) return 1000 / Number(yarnMPerKg);
+  return undefined;
+}
+
+/**
+ * Typical loop height and rows/loops per cm of a punch needle size (regular when unknown).
+ */
+export function punchNeedle(size) {
+  return { ...(PUNCH_NEEDLES[size] ?? PUNCH_NEEDLES.regular) };
+}
+
+/**
+ * Typical stitches (loops, knots) per minute for a technique, over a whole session.
+ */
+export function defaultWorkingSpeed(technique) {
+  return WORKING_SPEED[technique] ?? WORKING_SPEED.tufting;
+}
 
 /**
  * Compute yarn constants for the project.
  * - Supports Beginner (density preset) OR Advanced (lines/stitches per cm).
  * - Handles pile type/height, strands, wastage, and yarn g/m or m/kg.
+ * - A swatch calibration (`densityFactor`) replaces the beginner baseline.
+ * - `technique` switches to the punch needle or latch hook model (see computeLengthPerArea).
  */
 export function computeYarnConstants({
+  technique = "tufting", // "tufting" | "punch" | "latch"
+  needleSize,            // "fine" | "medium" | "regular" (punch)
+  meshPerCm,             // holes per cm of canvas (latch)
+  pieceLengthMm,         // precut piece per knot (latch)
   mode,                  // "beginner" | "advanced"
   densityPreset,         // "low" | "medium" | "high"  (beginner)
   linesPerCm,            // number (advanced)
@@ -17,21 +66,62 @@ export function computeYarnConstants({
   wastagePercent,        // e.g. 15
   yarnGPerM,             // number | undefined
   yarnMPerKg,            // number | undefined
+  densityFactor,         // number | undefined (from calibrateFromSwatch)
 }) {
-  const pile_h_m = Math.max(0, Number(pileHeightMm || 0)) / 1000; // meters
   const s = Math.max(1, Math.round(Number(strands || 1)));
   const wastage = Math.max(0, Number(wastagePercent || 0)) / 100;
 
-  // Convert yarn specs to grams per meter (single strand)
-  let g_per_m_single;
-  if (isFiniteNum(yarnGPerM) && yarnGPerM > 0) {
-    g_per_m_single = Number(yarnGPerM);
-  } else if (isFiniteNum(yarnMPerKg) && yarnMPerKg > 0) {
-    // m/kg  -> g/m  (1 kg / m_per_kg = g per m)
-    g_per_m_single = 1000 / Number(yarnMPerKg);
-  } else {
-    // Safe default if user hasn’t filled it yet (typical acrylic ~ 3–6 g per 10 m => 0.3–0.6 g/m)
-    g_per_m_single = 0.5;
+  // Convert yarn specs to grams per meter (single strand).
+  // Safe default if user hasn’t filled it yet (typical acrylic ~ 3–6 g per 10 m => 0.3–0.6 g/m)
+  const g_per_m_single = yarnGramsPerMeter({ yarnGPerM, yarnMPerKg }) ?? DEFAULT_G_PER_M;
+
+  // Kept so colors with their own pile can be recomputed with the same density
+  const pile = {
+    technique, needleSize, meshPerCm, pieceLengthMm,
+    mode, densityPreset, linesPerCm, stitchesPerCm, pileType, pileHeightMm, densityFactor,
+  };
+
+  return {
+    g_per_m_single,
+    strands: s,
+    wastage,                  // fraction
+    L_m_per_cm2_single: computeLengthPerArea(pile), // m per cm², single strand
+    pile,
+  };
+}
+
+/**
+ * Yarn length per unit area (single strand), in m/cm², for one pile type/height.
+ * Punch needle loops are as high as the pile height (or the needle's usual loop) and sit on
+ * the needle's grid unless advanced lines/stitches are given. Latch hook knots one cut
+ * piece into every mesh hole, so pile type and height do not apply.
+ */
+export function computeLengthPerArea({
+  technique = "tufting",
+  needleSize,
+  meshPerCm,
+  pieceLengthMm,
+  mode,
+  densityPreset,
+  linesPerCm,
+  stitchesPerCm,
+  pileType,
+  pileHeightMm,
+  densityFactor,
+}) {
+  const pile_h_m = Math.max(0, Number(pileHeightMm || 0)) / 1000; // meters
+
+  if (technique === "latch") {
+    const mesh = isFiniteNum(meshPerCm) && meshPerCm > 0 ? Number(meshPerCm) : LATCH_MESH_PER_CM;
+    const piece_m = (isFiniteNum(pieceLengthMm) && pieceLengthMm > 0 ? Number(pieceLengthMm) : LATCH_PIECE_MM) / 1000;
+    return mesh * mesh * piece_m; // holes per cm² × m per hole
+  }
+
+  if (technique === "punch") {
+    // Same shape as the advanced tufting path: each loop is 2 × its height, plus the run along the back
+    const [rows, loops] = stitchGrid({ technique, mode, linesPerCm, stitchesPerCm, needleSize });
+    const loop_h_m = pile_h_m > 0 ? pile_h_m : (PUNCH_NEEDLES[needleSize] ?? PUNCH_NEEDLES.regular).loopHeightMm / 1000;
+    return 0.01 * rows + 2 * loop_h_m * rows * loops;
   }
 
   // Pile loop factor:
@@ -39,7 +129,6 @@ export function computeYarnConstants({
   // We keep a tiny difference to reflect some practical variation.
   const loopFactor = pileType === "loop" ? 0.95 : 1.0;
 
-  // Compute yarn length per unit area (single strand), in m/cm²:
   // Two paths to L_area (m/cm²):
   // A) Advanced: based on user lines/stitches.
   //    L = backing_component + pile_component
@@ -47,34 +136,69 @@ export function computeYarnConstants({
   //
   // B) Beginner: from density preset @ 12mm cut baseline ≈ 1200 m/m², scaled by pile height & pile type.
   //    multipliers: low=0.8, medium=1.0, high=1.25; pile height scales linearly; loop slight reduction.
-  let L_m_per_cm2_single;
-
+  //    A calibrated density factor replaces the preset (the swatch was tufted at the user's own density).
   if (mode === "advanced" && isFiniteNum(linesPerCm) && isFiniteNum(stitchesPerCm) && linesPerCm > 0 && stitchesPerCm > 0) {
     const L_backing = 0.01 * Number(linesPerCm); // m/cm²
     const stitches_per_cm2 = Number(linesPerCm) * Number(stitchesPerCm);
     const L_pile = (2 * pile_h_m * loopFactor) * stitches_per_cm2; // m/cm²
-    L_m_per_cm2_single = L_backing + L_pile;
-  } else {
-    // Beginner preset path
-    const presetMul = { low: 0.8, medium: 1.0, high: 1.25 }[densityPreset || "medium"] ?? 1.0;
-    const baseline_m_per_m2_cut_12mm = 1200; // m/m² @ medium, cut, 12 mm
-    const pileHeightMul = (pile_h_m > 0) ? (pile_h_m / 0.012) : 1.0; // scale to 12mm baseline
-    const pileTypeMul = (pileType === "loop") ? 0.95 : 1.0;
-
-    const m_per_m2_single = baseline_m_per_m2_cut_12mm * presetMul * pileHeightMul * pileTypeMul;
-    L_m_per_cm2_single = m_per_m2_single / 10000; // m/cm²
+    return L_backing + L_pile;
   }
 
+  // Beginner preset path
+  const presetMul = (isFiniteNum(densityFactor) && densityFactor > 0)
+    ? Number(densityFactor)
+    : ({ low: 0.8, medium: 1.0, high: 1.25 }[densityPreset || "medium"] ?? 1.0);
+  const baseline_m_per_m2_cut_12mm = BASELINE_M_PER_M2_CUT_12MM;
+  const pileHeightMul = (pile_h_m > 0) ? (pile_h_m / 0.012) : 1.0; // scale to 12mm baseline
+  const pileTypeMul = (pileType === "loop") ? 0.95 : 1.0;
+
+  const m_per_m2_single = baseline_m_per_m2_cut_12mm * presetMul * pileHeightMul * pileTypeMul;
+  return m_per_m2_single / 10000; // m/cm²
+}
+
+/**
+ * Derive a personal density factor from a tufted test swatch.
+ * The factor is measured length / built-in estimate (medium preset) for the same
+ * swatch, so it also absorbs the guessed loop factor when calibrating loop pile.
+ * Returns null when the inputs cannot produce a factor.
+ */
+export function calibrateFromSwatch({
+  widthCm,
+  heightCm,
+  pileType,
+  pileHeightMm,
+  strands,
+  yarnGPerM,
+  yarnMPerKg,
+  gramsUsed,
+}) {
+  const area_m2 = (Math.max(0, Number(widthCm || 0)) * Math.max(0, Number(heightCm || 0))) / 10000;
+  const g_per_m_single = yarnGramsPerMeter({ yarnGPerM, yarnMPerKg });
+  const s = Math.max(1, Math.round(Number(strands || 1)));
+  const grams = Number(gramsUsed);
+  if (!(area_m2 > 0) || !g_per_m_single || !(grams > 0)) return null;
+
+  const measured_m_per_m2_single = grams / g_per_m_single / s / area_m2;
+  const predicted_m_per_m2_single = computeLengthPerArea({ mode: "beginner", densityPreset: "medium", pileType, pileHeightMm }) * 10000;
+  if (!(predicted_m_per_m2_single > 0)) return null;
+
   return {
-    g_per_m_single,
-    strands: s,
-    wastage,                  // fraction
-    L_m_per_cm2_single,       // m per cm², single strand
+    densityFactor: measured_m_per_m2_single / predicted_m_per_m2_single,
+    measured_m_per_m2_single,
+    predicted_m_per_m2_single,
   };
 }
 
 /**
  * Given clusters with area_cm2, compute yarn length & weight per color and totals.
+ * A cluster may carry `yarnSpec` ({ yarnGPerM, yarnMPerKg, strands, yarnPricePerKg, skeinWeightG })
+ * and `pileSpec` ({ pileType, pileHeightMm }); any value they set replaces the
+ * project default for that color only.
+ * A cluster with a `blend` ([{ hex, name, strands, yarnSpec }]) is tufted with those yarns
+ * run together: its strands are their sum and `blendParts` gives each component yarn's
+ * length, weight and cost from its own yarnSpec (else the project yarn).
+ * When `skeinWeightG` is given, each color also gets a whole-skein purchase plan; blended
+ * colors get none, and the totals then pool yarns across colors (see aggregateYarnUsage).
  */
 export function computeYarnForClusters(clusters, constants) {
   const {
@@ -82,7 +206,10 @@ export function computeYarnForClusters(clusters, constants) {
     g_per_m_single,
     strands,
     wastage,
-    pricePerKg // optional, number or undefined
+    pile,
+    pricePerKg, // optional, number or undefined
+    skeinWeightG, // optional, grams per skein/cone
+    lengthScale = 1 // optional, density uncertainty (see computeYarnWithRange)
   } = constants;
 
   const results = [];
@@ -90,17 +217,47 @@ export function computeYarnForClusters(clusters, constants) {
   let totalWeight_g = 0;
   let totalArea_cm2 = 0;
   let totalCost = 0;
-
-  const hasPrice = typeof pricePerKg === "number" && isFinite(pricePerKg) && pricePerKg > 0;
+  let totalSkeins = 0;
+  let totalLeftover_g = 0;
+  let totalPurchaseCost = 0;
 
   for (const c of clusters) {
+    const yarn = resolveColorYarn(c.yarnSpec, { g_per_m_single, strands, pricePerKg, skeinWeightG });
+    const colorPile = resolveColorPile(c.pileSpec, pile);
+    const L_area = (colorPile.overridden ? computeLengthPerArea(colorPile) : L_m_per_cm2_single) * lengthScale;
     const area = Number(c.areaCm2 || 0);
-    const length_single = area * L_m_per_cm2_single; // m, single strand
-    const length_all = length_single * strands;      // m, all strands together
-    const weight_g = length_all * g_per_m_single;    // grams
+    const length_single = area * L_area;                // m, single strand
+
+    // Each component yarn of a blend is weighed and priced on its own
+    const blend = resolveBlend(c.blend);
+    const blendParts = blend?.map(part => {
+      const partYarn = resolveColorYarn(part.yarnSpec, { g_per_m_single, strands, pricePerKg, skeinWeightG });
+      const partPrice = yarnPrice(partYarn);
+      const partLength = length_single * part.strands;
+      const partWeight = partLength * partYarn.g_per_m_single * (1 + wastage);
+      return {
+        hex: part.hex,
+        name: part.name,
+        strands: part.strands,
+        yarnLength_m: partLength,
+        yarnWeight_g: partLength * partYarn.g_per_m_single,
+        yarnWeightWithWaste_g: partWeight,
+        yarnCost: partPrice !== undefined ? (partWeight / 1000) * partPrice : 0,
+        yarnPricePerKg: partPrice,
+        skeinWeightG: partYarn.skeinWeightG,
+      };
+    });
+    if (blend) yarn.strands = blend.reduce((sum, part) => sum + part.strands, 0);
+    const sumParts = (field) => blendParts.reduce((sum, part) => sum + part[field], 0);
+
+    const hasPrice = !blend && yarnPrice(yarn) !== undefined;
+    const length_all = length_single * yarn.strands;    // m, all strands together
+    const weight_g = blend ? sumParts("yarnWeight_g") : length_all * yarn.g_per_m_single;  // grams
     const weight_with_waste_g = weight_g * (1 + wastage);
     const weight_kg = weight_with_waste_g / 1000;
-    const cost = hasPrice ? weight_kg * pricePerKg : 0;
+    const cost = blend ? sumParts("yarnCost") : hasPrice ? weight_kg * yarn.pricePerKg : 0;
+    // A blend is not sold as one yarn: its components are bought in the pooled totals
+    const purchase = blend ? null : planSkeinPurchase(weight_with_waste_g, yarn.skeinWeightG, hasPrice ? yarn.pricePerKg : undefined);
 
     results.push({
       ...c,
@@ -109,12 +266,37 @@ export function computeYarnForClusters(clusters, constants) {
       yarnWeight_g: weight_g,
       yarnWeightWithWaste_g: weight_with_waste_g,
       yarnCost: cost, // new
+      yarnGPerM_single: blend ? (length_all > 0 ? weight_g / length_all : yarn.g_per_m_single) : yarn.g_per_m_single,
+      yarnStrands: yarn.strands,
+      yarnPricePerKg: hasPrice ? yarn.pricePerKg : undefined,
+      yarnSkeinWeightG: blend ? undefined : yarn.skeinWeightG,
+      yarnOverridden: yarn.overridden,
+      blendParts,
+      pileType: colorPile.pileType,
+      pileHeightMm: colorPile.pileHeightMm,
+      pileOverridden: colorPile.overridden,
+      skeinsToBuy: purchase?.skeins,
+      skeinLeftover_g: purchase?.leftover_g,
+      purchaseCost: purchase?.cost,
     });
 
     totalLen_m += length_all;
     totalWeight_g += weight_with_waste_g;
     totalArea_cm2 += area;
     totalCost += cost;
+    if (purchase) {
+      totalSkeins += purchase.skeins;
+      totalLeftover_g += purchase.leftover_g;
+      totalPurchaseCost += purchase.cost;
+    }
+  }
+
+  // Blended colors share physical yarns, so round up once per yarn across all colors
+  if (results.some(r => r.blendParts)) {
+    const yarns = aggregateYarnUsage(results, { skeinWeightG });
+    totalSkeins = yarns.reduce((sum, y) => sum + (y.skeinsToBuy || 0), 0);
+    totalLeftover_g = yarns.reduce((sum, y) => sum + (y.skeinLeftover_g || 0), 0);
+    totalPurchaseCost = yarns.reduce((sum, y) => sum + (y.purchaseCost || 0), 0);
   }
 
   return {
@@ -124,10 +306,427 @@ export function computeYarnForClusters(clusters, constants) {
       totalLength_m: totalLen_m,
       totalWeightWithWaste_g: totalWeight_g,
       totalCost: totalCost, // new
+      totalSkeins,
+      totalLeftover_g,
+      totalPurchaseCost,
+    }
+  };
+}
+
+/**
+ * computeYarnForClusters plus low/high bounds. The bounds rerun the same math with
+ * every uncertainty at its low (or high) end together: density ± `densityPercent`,
+ * pile height ± `pileHeightPercent` (project and per-color piles, and the latch hook
+ * piece length) and wastage ±
+ * `wastagePoints` percentage points. Rows and totals gain `_low` / `_high` copies of
+ * their length, weight, cost and purchase fields.
+ */
+export function computeYarnWithRange(clusters, constants, {
+  densityPercent = 15,
+  pileHeightPercent = 10,
+  wastagePoints = 5,
+} = {}) {
+  const expected = computeYarnForClusters(clusters, constants);
+  const bound = (sign) => {
+    const d = 1 + sign * Math.max(0, Number(densityPercent) || 0) / 100;
+    const h = 1 + sign * Math.max(0, Number(pileHeightPercent) || 0) / 100;
+    const scaleHeight = (mm) => isFiniteNum(mm) ? Math.max(0, Number(mm) * h) : mm;
+    const pile = {
+      ...constants.pile,
+      pileHeightMm: scaleHeight(constants.pile?.pileHeightMm),
+      pieceLengthMm: scaleHeight(constants.pile?.pieceLengthMm),
+    };
+    return computeYarnForClusters(
+      clusters.map(c => c.pileSpec ? { ...c, pileSpec: { ...c.pileSpec, pileHeightMm: scaleHeight(c.pileSpec.pileHeightMm) } } : c),
+      {
+        ...constants,
+        pile,
+        L_m_per_cm2_single: constants.pile ? computeLengthPerArea(pile) : constants.L_m_per_cm2_single,
+        wastage: Math.max(0, constants.wastage + sign * Math.max(0, Number(wastagePoints) || 0) / 100),
+        lengthScale: Math.max(0, d),
+      }
+    );
+  };
+  const low = bound(-1), high = bound(1);
+
+  const ROW_FIELDS = ["yarnLength_m", "yarnWeightWithWaste_g", "yarnCost", "skeinsToBuy", "purchaseCost"];
+  const TOTAL_FIELDS = ["totalLength_m", "totalWeightWithWaste_g", "totalCost", "totalSkeins", "totalPurchaseCost"];
+  const withBounds = (target, lo, hi, fields) => {
+    fields.forEach(f => {
+      target[`${f}_low`] = lo[f];
+      target[`${f}_high`] = hi[f];
+    });
+    return target;
+  };
+
+  return {
+    perColor: expected.perColor.map((row, i) => withBounds(row, low.perColor[i], high.perColor[i], ROW_FIELDS)),
+    totals: withBounds(expected.totals, low.totals, high.totals, TOTAL_FIELDS),
+  };
+}
+
+/**
+ * Yarn per physical yarn (matched by hex): blended rows count as their component
+ * yarns, and every row or component using the same yarn is pooled before rounding
+ * up to whole skeins of that yarn (`yarnSkeinWeightG` / part `skeinWeightG`, else
+ * `skeinWeightG`), so the list is what to buy. Rows may carry a display `name`.
+ */
+export function aggregateYarnUsage(perColor, { skeinWeightG } = {}) {
+  const yarns = new Map();
+  for (const c of perColor || []) {
+    const parts = c.blendParts?.length ? c.blendParts : [c];
+    for (const part of parts) {
+      const key = String(part.hex || "").toLowerCase();
+      if (!yarns.has(key)) {
+        yarns.set(key, { hex: key, name: "", yarnLength_m: 0, yarnWeightWithWaste_g: 0, yarnCost: 0, usedBy: [] });
+      }
+      const yarn = yarns.get(key);
+      yarn.name = yarn.name || part.name || "";
+      yarn.skeinWeightG = yarn.skeinWeightG ?? (part === c ? c.yarnSkeinWeightG : part.skeinWeightG);
+      yarn.yarnLength_m += Number(part.yarnLength_m) || 0;
+      yarn.yarnWeightWithWaste_g += Number(part.yarnWeightWithWaste_g) || 0;
+      yarn.yarnCost += Number(part.yarnCost) || 0;
+      if (!yarn.usedBy.includes(c.hex)) yarn.usedBy.push(c.hex);
+    }
+  }
+
+  return [...yarns.values()].map(yarn => {
+    // Rows may price the same yarn differently; buy at the average
+    const pricePerKg = yarn.yarnWeightWithWaste_g > 0 ? yarn.yarnCost / (yarn.yarnWeightWithWaste_g / 1000) : undefined;
+    const purchase = planSkeinPurchase(yarn.yarnWeightWithWaste_g, yarn.skeinWeightG ?? skeinWeightG, pricePerKg);
+    return {
+      ...yarn,
+      skeinsToBuy: purchase?.skeins,
+      skeinLeftover_g: purchase?.leftover_g,
+      purchaseCost: purchase?.cost,
+    };
+  });
+}
+
+/**
+ * Round a yarn need up to whole skeins/cones.
+ * Returns null when the skein weight is unknown; cost is 0 without a price.
+ */
+export function planSkeinPurchase(neededG, skeinWeightG, pricePerKg) {
+  const unit_g = Number(skeinWeightG);
+  if (!(Number.isFinite(unit_g) && unit_g > 0)) return null;
+
+  const need = Math.max(0, Number(neededG || 0));
+  // Small epsilon so floating point noise does not buy an extra skein
+  const skeins = need > 0 ? Math.ceil(need / unit_g - 1e-9) : 0;
+  const bought_g = skeins * unit_g;
+  const unitPrice = isFiniteNum(pricePerKg) && pricePerKg > 0 ? (Number(pricePerKg) * unit_g) / 1000 : 0;
+
+  return {
+    skeins,
+    bought_g,
+    leftover_g: bought_g - need,
+    cost: skeins * unitPrice,
+  };
+}
+
+/**
+ * Backing & finishing materials for a rug with the given box, real area and perimeter.
+ * Primary cloth covers the box plus the frame margin on every side, secondary backing
+ * the box plus an overlap, glue the real tufted area, binding the perimeter plus waste.
+ * Each item's cost is 0 without a price.
+ */
+export function estimateMaterials({
+  widthCm, heightCm,
+  areaCm2,                  // real rug area (defaults to the box)
+  perimeterCm,              // real perimeter (defaults to the box)
+  frameMarginCm = 10,
+  primaryPricePerM2,
+  backingOverlapCm = 5,
+  backingPricePerM2,
+  glueGPerM2 = 1000,
+  gluePricePerKg,
+  bindingWastePercent = 10,
+  bindingPricePerM,
+} = {}) {
+  const W = Math.max(0, Number(widthCm) || 0);
+  const H = Math.max(0, Number(heightCm) || 0);
+  const area = isFiniteNum(areaCm2) && areaCm2 > 0 ? Number(areaCm2) : W * H;
+  const perimeter = isFiniteNum(perimeterCm) && perimeterCm > 0 ? Number(perimeterCm) : 2 * (W + H);
+  const cost = (qty, price) => (isFiniteNum(price) && price > 0 ? qty * Number(price) : 0);
+
+  const sheet = (extraCm, pricePerM2) => {
+    const width_cm = W + 2 * Math.max(0, Number(extraCm) || 0);
+    const height_cm = H + 2 * Math.max(0, Number(extraCm) || 0);
+    const area_m2 = (width_cm * height_cm) / 10000;
+    return { width_cm, height_cm, area_m2, cost: cost(area_m2, pricePerM2) };
+  };
+
+  const primaryCloth = sheet(frameMarginCm, primaryPricePerM2);
+  const secondaryBacking = sheet(backingOverlapCm, backingPricePerM2);
+  const glue_g = (area / 10000) * Math.max(0, Number(glueGPerM2) || 0);
+  const glue = { weight_g: glue_g, cost: cost(glue_g / 1000, gluePricePerKg) };
+  const binding_m = (perimeter / 100) * (1 + Math.max(0, Number(bindingWastePercent) || 0) / 100);
+  const binding = { length_m: binding_m, cost: cost(binding_m, bindingPricePerM) };
+
+  return {
+    primaryCloth,
+    secondaryBacking,
+    glue,
+    binding,
+    totalCost: primaryCloth.cost + secondaryBacking.cost + glue.cost + binding.cost,
+  };
+}
+
+/**
+ * Weight of the finished rug: the yarn left in it (no wastage, minus what shearing
+ * cuts away), primary cloth and secondary backing over the rug area, and the glue
+ * once dry (only its solids stay).
+ */
+export function estimateFinishedWeight({
+  yarn_g,                   // yarn tufted into the rug, without wastage
+  shearingLossPercent = 5,
+  areaCm2,
+  primaryGPerM2 = 200,
+  backingGPerM2 = 300,
+  glue_g = 0,               // wet glue applied
+  glueSolidsPercent = 60,
+} = {}) {
+  const yarn = Math.max(0, Number(yarn_g) || 0);
+  const area_m2 = Math.max(0, Number(areaCm2) || 0) / 10000;
+  const shearing_g = yarn * Math.max(0, Math.min(100, Number(shearingLossPercent) || 0)) / 100;
+  const primary_g = area_m2 * Math.max(0, Number(primaryGPerM2) || 0);
+  const backing_g = area_m2 * Math.max(0, Number(backingGPerM2) || 0);
+  const dryGlue_g = Math.max(0, Number(glue_g) || 0) * Math.max(0, Math.min(100, Number(glueSolidsPercent) || 0)) / 100;
+
+  return {
+    yarn_g: yarn - shearing_g,
+    shearing_g,
+    primary_g,
+    backing_g,
+    glue_g: dryGlue_g,
+    total_g: yarn - shearing_g + primary_g + backing_g + dryGlue_g,
+  };
+}
+
+/**
+ * Size of the rug rolled for shipping: rolled along its longer side around a core,
+ * each turn as thick as the pile plus backing. The box adds padding around the roll.
+ */
+export function estimatePackedSize({
+  widthCm, heightCm, pileHeightMm,
+  backingThicknessMm = 4,
+  coreDiameterCm = 5,
+  paddingCm = 5,
+} = {}) {
+  const W = Math.max(0, Number(widthCm) || 0), H = Math.max(0, Number(heightCm) || 0);
+  const thicknessCm = (Math.max(0, Number(pileHeightMm) || 0) + Math.max(0, Number(backingThicknessMm) || 0)) / 10;
+  const core = Math.max(0, Number(coreDiameterCm) || 0);
+  const pad = Math.max(0, Number(paddingCm) || 0);
+
+  const rollLengthCm = Math.min(W, H);
+  // The rolled cross-section (an annulus) holds the rug's length × thickness
+  const rollDiameterCm = Math.sqrt(core * core + (4 * thicknessCm * Math.max(W, H)) / Math.PI);
+  const box = {
+    lengthCm: rollLengthCm + 2 * pad,
+    widthCm: rollDiameterCm + 2 * pad,
+    heightCm: rollDiameterCm + 2 * pad,
+  };
+  return { rollLengthCm, rollDiameterCm, thicknessCm, box, volume_cm3: box.lengthCm * box.widthCm * box.heightCm };
+}
+
+/**
+ * Price a parcel with a rate table { divisor, brackets: [{ upToKg, price }] }.
+ * The chargeable weight is the larger of the actual and the volumetric weight
+ * (volume in cm³ / divisor). Returns null without brackets; `price` is undefined
+ * when the parcel is heavier than the last bracket.
+ */
+export function quoteShipping(table, { weight_g, volume_cm3 } = {}) {
+  const brackets = (table?.brackets || [])
+    .filter(b => isFiniteNum(b.upToKg) && b.upToKg > 0 && isFiniteNum(b.price))
+    .sort((a, b) => a.upToKg - b.upToKg);
+  if (!brackets.length) return null;
+
+  const actualKg = Math.max(0, Number(weight_g) || 0) / 1000;
+  const divisor = Number(table.divisor);
+  const volumetricKg = divisor > 0 ? Math.max(0, Number(volume_cm3) || 0) / divisor : 0;
+  const chargeableKg = Math.max(actualKg, volumetricKg);
+  const bracket = brackets.find(b => chargeableKg <= b.upToKg);
+
+  return {
+    actualKg,
+    volumetricKg,
+    chargeableKg,
+    upToKg: bracket?.upToKg,
+    price: bracket ? Number(bracket.price) : undefined,
+  };
+}
+
+/**
+ * Largest rug the yarn on hand allows. Yarn needs grow with the rug area at fixed
+ * color proportions, so each color with a known amount allows the current area ×
+ * available / needed, and so does a total; the smallest ratio limits the rug.
+ * With a locked aspect ratio both sides scale by its square root, otherwise only
+ * the width changes. `availableG` is aligned with `perColor`; `limiting` is the
+ * index of the limiting color, or -1 when the total limits. Returns null when no
+ * amount applies.
+ */
+export function solveMaxRugSize({
+  widthCm,
+  heightCm,
+  perColor = [],          // rows from computeYarnForClusters at the current size
+  availableG = [],
+  totalAvailableG,
+  lockAspect = true,
+} = {}) {
+  const W = Number(widthCm), H = Number(heightCm);
+  if (!(W > 0 && H > 0)) return null;
+
+  const colors = perColor.map((c, index) => {
+    const need_g = Math.max(0, Number(c.yarnWeightWithWaste_g) || 0);
+    const available_g = Number(availableG[index]);
+    const areaScale = need_g > 0 && available_g >= 0 ? available_g / need_g : undefined;
+    return { index, need_g, available_g: available_g >= 0 ? available_g : undefined, areaScale };
+  });
+  const totalNeed_g = colors.reduce((s, c) => s + c.need_g, 0);
+  const totalAvailable = Number(totalAvailableG);
+  const total = {
+    need_g: totalNeed_g,
+    available_g: totalAvailable > 0 ? totalAvailable : undefined,
+    areaScale: totalAvailable > 0 && totalNeed_g > 0 ? totalAvailable / totalNeed_g : undefined,
+  };
+
+  let areaScale = total.areaScale, limiting = total.areaScale !== undefined ? -1 : undefined;
+  colors.forEach(c => {
+    if (c.areaScale !== undefined && !(c.areaScale >= areaScale)) {
+      areaScale = c.areaScale;
+      limiting = c.index;
     }
+  });
+  if (areaScale === undefined) return null;
+
+  const widthScale = lockAspect ? Math.sqrt(areaScale) : areaScale;
+  const heightScale = lockAspect ? Math.sqrt(areaScale) : 1;
+  return { areaScale, widthCm: W * widthScale, heightCm: H * heightScale, limiting, colors, total };
+}
+
+/**
+ * Tufting time from the stitch count: stitches per cm² (advanced lines × stitches,
+ * or a typical grid for the beginner preset, the punch needle or the latch mesh) ×
+ * tufted area, at an effective speed that already includes moving between lines and
+ * changing yarn. For latch hook a stitch is one knot. Without a speed, the typical one
+ * for the technique is used (see defaultWorkingSpeed).
+ */
+export function estimateTuftingTime({ areaCm2, pile = {}, stitchesPerMinute } = {}) {
+  const grid = stitchGrid(pile || {});
+  const stitchesPerCm2 = grid[0] * grid[1];
+  const stitches = Math.max(0, Number(areaCm2) || 0) * stitchesPerCm2;
+  const speed = Number(stitchesPerMinute ?? defaultWorkingSpeed(pile?.technique));
+
+  return { stitchesPerCm2, stitches, hours: speed > 0 ? stitches / speed / 60 : 0 };
+}
+
+/**
+ * Price a commissioned rug. Overhead is added on top of labor and materials; the
+ * margin is the share of the price kept as profit, so 20 % prices at cost / 0.8.
+ * Shipping is passed through without overhead or margin.
+ */
+export function priceCommission({
+  laborHours,
+  hourlyRate,
+  materialsCost,
+  overheadPercent = 0,
+  marginPercent = 0,
+  shippingCost = 0,
+} = {}) {
+  const hours = Math.max(0, Number(laborHours) || 0);
+  const laborCost = hours * Math.max(0, Number(hourlyRate) || 0);
+  const materials = Math.max(0, Number(materialsCost) || 0);
+  const overhead = (laborCost + materials) * Math.max(0, Number(overheadPercent) || 0) / 100;
+  const cost = laborCost + materials + overhead;
+  const margin = Math.min(95, Math.max(0, Number(marginPercent) || 0)) / 100;
+  const price = cost / (1 - margin);
+  const shipping = Math.max(0, Number(shippingCost) || 0);
+
+  return {
+    laborHours: hours,
+    laborCost,
+    materialsCost: materials,
+    overhead,
+    cost,
+    profit: price - cost,
+    price,
+    shipping,
+    total: price + shipping,
+  };
+}
+
+/**
+ * Merge a per-color yarn spec over the project defaults.
+ */
+function resolveColorYarn(spec, defaults) {
+  if (!spec) return { ...defaults, overridden: false };
+
+  const g = yarnGramsPerMeter(spec);
+  const s = isFiniteNum(spec.strands) && spec.strands >= 1 ? Math.round(Number(spec.strands)) : undefined;
+  const price = isFiniteNum(spec.yarnPricePerKg) && spec.yarnPricePerKg > 0 ? Number(spec.yarnPricePerKg) : undefined;
+  const skein = isFiniteNum(spec.skeinWeightG) && spec.skeinWeightG > 0 ? Number(spec.skeinWeightG) : undefined;
+
+  return {
+    g_per_m_single: g ?? defaults.g_per_m_single,
+    strands: s ?? defaults.strands,
+    pricePerKg: price ?? defaults.pricePerKg,
+    skeinWeightG: skein ?? defaults.skeinWeightG,
+    overridden: g !== undefined || s !== undefined || price !== undefined || skein !== undefined,
   };
 }
 
+// Price per kg of a resolved yarn, or undefined when it has none
+function yarnPrice(yarn) {
+  return isFiniteNum(yarn.pricePerKg) && yarn.pricePerKg > 0 ? Number(yarn.pricePerKg) : undefined;
+}
+
+/**
+ * Clean a blend to [{ hex, name, strands, yarnSpec }] with whole strand counts, or null when empty.
+ */
+function resolveBlend(blend) {
+  if (!Array.isArray(blend)) return null;
+  const parts = blend
+    .map(part => ({
+      hex: String(part?.hex || ""),
+      name: String(part?.name || ""),
+      strands: Math.round(Number(part?.strands)),
+      yarnSpec: part?.yarnSpec || null,
+    }))
+    .filter(part => part.hex && part.strands >= 1);
+  return parts.length ? parts : null;
+}
+
+/**
+ * Merge a per-color pile spec over the project pile (density settings are shared).
+ */
+function resolveColorPile(spec, projectPile = {}) {
+  const type = spec?.pileType === "cut" || spec?.pileType === "loop" ? spec.pileType : undefined;
+  const height = isFiniteNum(spec?.pileHeightMm) && spec.pileHeightMm > 0 ? Number(spec.pileHeightMm) : undefined;
+
+  return {
+    ...projectPile,
+    pileType: type ?? projectPile.pileType,
+    pileHeightMm: height ?? projectPile.pileHeightMm,
+    overridden: type !== undefined || height !== undefined,
+  };
+}
+
+// Lines × stitches per cm: advanced values when given, else the technique's typical grid
+function stitchGrid({ technique, mode, densityPreset, linesPerCm, stitchesPerCm, needleSize, meshPerCm }) {
+  if (technique === "latch") {
+    const mesh = isFiniteNum(meshPerCm) && meshPerCm > 0 ? Number(meshPerCm) : LATCH_MESH_PER_CM;
+    return [mesh, mesh];
+  }
+  if (mode === "advanced" && Number(linesPerCm) > 0 && Number(stitchesPerCm) > 0) {
+    return [Number(linesPerCm), Number(stitchesPerCm)];
+  }
+  if (technique === "punch") {
+    const { gridPerCm } = PUNCH_NEEDLES[needleSize] ?? PUNCH_NEEDLES.regular;
+    return [gridPerCm, gridPerCm];
+  }
+  return PRESET_STITCH_GRID[densityPreset] ?? PRESET_STITCH_GRID.medium;
+}
 
 function isFiniteNum(x) {
   const n = Number(x);
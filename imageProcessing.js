@@ -1,38 +1,574 @@
 // imageProcessing.js
-// Color analysis with Lab distance + tolerance-based clustering
-export function analyzeImage(canvas, {
+// Color analysis with Lab distance: tolerance-based clustering or k-means to a target color count
+export function analyzeImage(canvas, options = {}) {
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const { width, height } = canvas;
+  const imageData = width && height
+    ? ctx.getImageData(0, 0, width, height)
+    : { data: new Uint8ClampedArray(0), width, height };
+  return analyzeImageData(imageData, options);
+}
+
+/**
+ * Same as analyzeImage, on raw ImageData ({ data, width, height }) so it can run in a worker.
+ * With `paletteColors`, clusters are merged onto their nearest palette color before returning;
+ * `paletteMaxColors` (> 0) first narrows the palette to the best subset of that many yarns.
+ * `comparePalettes` ([[{ name, hex }], …]) matches the same clusters against each of those
+ * palettes too, returned as `paletteComparison` (see comparePalette).
+ * `onProgress(fraction, stage)` reports 0..1 as the passes advance.
+ */
+export function analyzeImageData({ data, width, height }, {
   alphaThreshold = 10,
+  quantization = "tolerance", // "tolerance" | "kmeans"
   tolerance = 40,          // 0..100 UI slider -> mapped to Lab ∆E
+  deltaEMetric = "76",     // "76" | "94" | "2000" (tolerance clustering)
+  colorCount = 8,          // target number of colors (kmeans)
   minAreaCm2 = 0.5,        // clusters smaller than this area (cm²) are dropped
   rugWidthCm = 0,
   rugHeightCm = 0,
-}) {
-  const ctx = canvas.getContext("2d", { willReadFrequently: true });
-  const { width, height } = canvas;
+  absorbIslands = true,    // islands smaller than minAreaCm2 join the surrounding color
+  paletteColors = null,    // [{ name, hex }] to match against (optional)
+  paletteMaxColors = 0,    // at most this many palette yarns, chosen for the image (0 = any)
+  comparePalettes = null,  // other palettes to compare the clusters against (optional)
+  shape = "rectangle",     // rug outline: "rectangle" | "circle" | "oval" | "arch" | "alpha"
+} = {}, onProgress = () => {}) {
   if (!width || !height) {
     return {
       clusters: [], dropped: [],
-      totals: { pixelsTotal: 0, pixelsValid: 0, pixelsKept: 0, areaCm2: 0, boxAreaCm2: 0, areaPerPixel: 0, droppedCount: 0 },
-      labels: null, size: { width, height }
+      totals: { pixelsTotal: 0, pixelsValid: 0, pixelsKept: 0, areaCm2: 0, boxAreaCm2: 0, areaPerPixel: 0, droppedCount: 0, islandsAbsorbed: 0, shape, shapeAreaCm2: 0, perimeterCm: 0 },
+      labels: null, matchError: null, size: { width, height }
     };
   }
 
-  const imgData = ctx.getImageData(0, 0, width, height);
-  const data = imgData.data;
+  const pixelsTotal = width * height;
+  const boxAreaCm2 = Math.max(0, rugWidthCm) * Math.max(0, rugHeightCm);
+  // Pixels outside the rug outline are made transparent so they are never counted
+  const rug = applyRugShape(data, width, height, shape, alphaThreshold, rugWidthCm, rugHeightCm);
+
+  const quantizeProgress = f => onProgress(0.7 * f, "Grouping colors");
+  const { clusters, rawLabel, pixelsValid } = quantization === "kmeans"
+    ? kMeansClusters(data, alphaThreshold, colorCount, 30, quantizeProgress)
+    : toleranceClusters(data, alphaThreshold, tolerance, deltaEMetric, quantizeProgress);
+  onProgress(0.7, "Cleaning up specks");
+
+  const areaPerPixel = rug.areaPerPixel;
+  const minArea = Math.max(0, minAreaCm2);
+  const minPixels = areaPerPixel > 0 ? (minArea / areaPerPixel) : 0;
+
+  // Absorb specks per island (not per color), then recount cluster sizes and colors
+  // from the pixels each cluster now holds
+  const islandPass = absorbIslands
+    ? absorbSmallIslands(rawLabel, width, height, minPixels)
+    : { absorbed: 0 };
+  if (islandPass.absorbed) {
+    clusters.forEach(c => {
+      c.count = 0;
+      c.rgbSum = [0, 0, 0];
+      c.labSum = [0, 0, 0];
+    });
+    for (let i = 0; i < rawLabel.length; i++) {
+      if (rawLabel[i] < 0) continue;
+      const c = clusters[rawLabel[i]];
+      const r = data[i * 4], g = data[i * 4 + 1], b = data[i * 4 + 2];
+      const lab = rgbToLab(r, g, b);
+      c.count++;
+      c.rgbSum[0] += r; c.rgbSum[1] += g; c.rgbSum[2] += b;
+      c.labSum[0] += lab[0]; c.labSum[1] += lab[1]; c.labSum[2] += lab[2];
+    }
+    clusters.forEach(c => {
+      if (c.count) c.labMean = [c.labSum[0] / c.count, c.labSum[1] / c.count, c.labSum[2] / c.count];
+    });
+  }
+
+  // Build detailed clusters
+  const detailed = clusters.filter(c => c.count > 0).map(c => {
+    const rgb = [Math.round(c.rgbSum[0] / c.count), Math.round(c.rgbSum[1] / c.count), Math.round(c.rgbSum[2] / c.count)];
+    const pct = pixelsValid > 0 ? (100 * c.count / pixelsValid) : 0;
+    const areaCm2 = c.count * areaPerPixel;
+    return { id: c.id, rgb, hex: rgbToHex(rgb[0], rgb[1], rgb[2]), pixelCount: c.count, percentValid: pct, areaCm2 };
+  });
+
+  // Filter by min area (converted to pixel count); keep all if rug size is unknown
+  const kept = [], dropped = [];
+  for (const c of detailed) {
+    if (c.pixelCount >= minPixels) kept.push(c); else dropped.push(c);
+  }
+  kept.sort((a, b) => b.pixelCount - a.pixelCount);
+
+  // Map raw cluster ids -> kept index (0..k-1), else -1
+  const idToKept = new Map(kept.map((c, i) => [c.id, i]));
+  const labels = new Int16Array(width * height);
+  labels.fill(-1);
+  let pixelsKept = 0;
+
+  for (let i = 0; i < rawLabel.length; i++) {
+    const rid = rawLabel[i];
+    if (rid < 0) { labels[i] = -1; continue; }
+    const mapped = idToKept.has(rid) ? idToKept.get(rid) : -1;
+    labels[i] = (mapped ?? -1);
+    if (labels[i] >= 0) pixelsKept++;
+  }
+
+  let rows = kept, finalLabels = labels, matchError = null, paletteStats = null;
+  if (paletteColors?.length) {
+    onProgress(0.8, "Matching palette");
+    const match = comparePalette(data, kept, labels, paletteColors, paletteMaxColors, getDeltaE(deltaEMetric));
+    if (match) {
+      rows = match.clusters;
+      finalLabels = match.labels;
+      matchError = match.errorMap;
+      paletteStats = match.stats;
+    }
+  }
+
+  let paletteComparison = null;
+  if (comparePalettes?.length) {
+    onProgress(0.85, "Comparing palettes");
+    paletteComparison = comparePalettes.map(colors => {
+      const match = comparePalette(data, kept, labels, colors, paletteMaxColors, getDeltaE(deltaEMetric));
+      return match && { clusters: match.clusters, matches: match.matches, stats: match.stats };
+    });
+  }
+
+  // After a palette remap, neighbouring clusters may share a color and form one island
+  onProgress(0.9, "Counting islands");
+  const islands = analyzeIslands(finalLabels, width, height, areaPerPixel);
+  rows.forEach((c, i) => {
+    c.islandCount = islands[i]?.count ?? 0;
+    c.islandAreasCm2 = islands[i]?.areasCm2 ?? [];
+  });
+
+  const totals = {
+    pixelsTotal,
+    pixelsValid,
+    pixelsKept,
+    areaCm2: kept.reduce((s, c) => s + c.areaCm2, 0),
+    boxAreaCm2,
+    areaPerPixel,
+    droppedCount: dropped.length,
+    islandsAbsorbed: islandPass.absorbed,
+    shape,
+    shapeAreaCm2: rug.areaCm2,
+    perimeterCm: rug.perimeterCm,
+  };
+
+  onProgress(1, "Done");
+  return {
+    clusters: rows, dropped, totals, labels: finalLabels, matchError, size: { width, height },
+    paletteMatched: rows !== kept, paletteStats, paletteComparison
+  };
+}
+
+/**
+ * Match clusters to a palette (narrowed to its best `maxColors` yarns when > 0, see
+ * selectPaletteSubset). Returns { clusters, labels, errorMap, matches, stats } or null:
+ * `matches[i]` is { hex, percentValid, yarnHex, yarnName, deltaE } for input cluster i and
+ * `stats` holds the yarn counts and the mean / worst per-pixel ∆E.
+ */
+function comparePalette(data, clusters, labels, paletteColors, maxColors, deltaE) {
+  let matchColors = paletteColors, pixelCosts = null;
+  if (maxColors > 0 && maxColors < paletteColors.length) {
+    const subset = selectPaletteSubset(data, labels, clusters.length, paletteColors, maxColors, deltaE);
+    if (subset) ({ paletteColors: matchColors, costs: pixelCosts } = subset);
+  }
+  const remap = remapClustersToPalette(clusters, labels, matchColors, deltaE, pixelCosts);
+  if (!remap) return null;
+  const error = paletteMatchError(data, remap.labels, remap.clusters, deltaE);
+  return {
+    clusters: remap.clusters,
+    labels: remap.labels,
+    errorMap: error.map,
+    matches: clusters.map((c, i) => {
+      const row = remap.clusters[remap.matches[i].row];
+      return { hex: c.hex, percentValid: c.percentValid, yarnHex: row?.hex, yarnName: row?.name || "", deltaE: remap.matches[i].deltaE };
+    }),
+    stats: {
+      yarnsAvailable: paletteColors.length,
+      yarnsUsed: remap.clusters.length,
+      subset: matchColors !== paletteColors,
+      meanDeltaE: error.meanDeltaE,
+      maxDeltaE: error.maxDeltaE,
+    },
+  };
+}
+
+/* ------------------------------ Rug shape ------------------------------ */
+
+/**
+ * Real area and perimeter (cm) of a rug outline fitted in its width×height box.
+ * Circle: diameter = the shorter side. Arch: a half-ellipse top (radius up to width/2) on a rectangle.
+ * Returns null for "alpha", whose outline only the image knows.
+ */
+export function rugShapeGeometry(shape, widthCm, heightCm) {
+  const W = Math.max(0, Number(widthCm) || 0), H = Math.max(0, Number(heightCm) || 0);
+  switch (shape) {
+    case "circle": {
+      const d = Math.min(W, H);
+      return { areaCm2: Math.PI * d * d / 4, perimeterCm: Math.PI * d };
+    }
+    case "oval":
+      return { areaCm2: Math.PI * W * H / 4, perimeterCm: ellipsePerimeter(W / 2, H / 2) };
+    case "arch": {
+      const rx = W / 2, ry = Math.min(W / 2, H);
+      return {
+        areaCm2: W * (H - ry) + Math.PI * rx * ry / 2,
+        perimeterCm: W + 2 * (H - ry) + ellipsePerimeter(rx, ry) / 2,
+      };
+    }
+    case "alpha":
+      return null;
+    default:
+      return { areaCm2: W * H, perimeterCm: 2 * (W + H) };
+  }
+}
+
+// Ramanujan's approximation
+function ellipsePerimeter(a, b) {
+  return Math.PI * (3 * (a + b) - Math.sqrt((3 * a + b) * (a + 3 * b)));
+}
+
+// Is the point (x, y) in cm inside the outline? (rectangle and alpha: always)
+function insideRugShape(shape, x, y, W, H) {
+  if (shape === "circle") {
+    const r = Math.min(W, H) / 2;
+    return (x - W / 2) ** 2 + (y - H / 2) ** 2 <= r * r;
+  }
+  if (shape === "oval") {
+    return ((x - W / 2) / (W / 2)) ** 2 + ((y - H / 2) / (H / 2)) ** 2 <= 1;
+  }
+  if (shape === "arch") {
+    const rx = W / 2, ry = Math.min(W / 2, H);
+    return y >= ry || ((x - rx) / rx) ** 2 + ((y - ry) / ry) ** 2 <= 1;
+  }
+  return true;
+}
+
+/**
+ * Clear the alpha of pixels outside the rug outline (mutates `data`) and work out
+ * the real rug area, its perimeter and the area each pixel stands for.
+ * Geometric shapes fill the image frame; "alpha" maps the box onto the opaque pixels' bounds.
+ */
+function applyRugShape(data, width, height, shape, alphaThreshold, widthCm, heightCm) {
+  const W = Math.max(0, widthCm), H = Math.max(0, heightCm);
+  const geometry = rugShapeGeometry(shape, W, H);
+
+  if (geometry) {
+    let inside = 0;
+    const pxW = W / width, pxH = H / height;
+    for (let y = 0, p = 0; y < height; y++) {
+      for (let x = 0; x < width; x++, p += 4) {
+        if (insideRugShape(shape, (x + 0.5) * pxW, (y + 0.5) * pxH, W, H)) inside++;
+        else data[p + 3] = 0;
+      }
+    }
+    return { ...geometry, areaPerPixel: inside > 0 ? geometry.areaCm2 / inside : 0 };
+  }
+
+  // Alpha outline: the opaque pixels are the rug; the box spans their bounds
+  const opaque = (x, y) => x >= 0 && y >= 0 && x < width && y < height && data[(y * width + x) * 4 + 3] > alphaThreshold;
+  let minX = width, minY = height, maxX = -1, maxY = -1, inside = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!opaque(x, y)) continue;
+      inside++;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  if (!inside) return { areaCm2: 0, perimeterCm: 0, areaPerPixel: 0 };
+  const pxW = W / (maxX - minX + 1), pxH = H / (maxY - minY + 1);
+
+  // Marching squares over pixel centers: straight runs count a full pixel, corners a half diagonal
+  // (exact on straight edges, about 5% long on curves)
+  const diagonal = Math.hypot(pxW / 2, pxH / 2);
+  let perimeterCm = 0;
+  for (let y = minY - 1; y <= maxY; y++) {
+    for (let x = minX - 1; x <= maxX; x++) {
+      const a = opaque(x, y), b = opaque(x + 1, y), c = opaque(x, y + 1), d = opaque(x + 1, y + 1);
+      const count = a + b + c + d;
+      if (count === 1 || count === 3) perimeterCm += diagonal;
+      else if (count === 2) perimeterCm += a === b ? pxW : a === c ? pxH : 2 * diagonal;
+    }
+  }
+  return { areaCm2: inside * pxW * pxH, perimeterCm, areaPerPixel: pxW * pxH };
+}
+
+/* ---------------------------- Pixel source ----------------------------- */
+
+/**
+ * Scale `image` (any drawImage source) to width×height and return its RGBA pixels
+ * as { data, width, height }. Draws in tiles of at most `maxTile` px per side so
+ * large images stay under the browsers' canvas size limits.
+ */
+export function readImagePixels(image, width, height, maxTile = 4096) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const srcW = image.naturalWidth || image.width;
+  const srcH = image.naturalHeight || image.height;
+  const sx = srcW / width, sy = srcH / height;
+
+  const tile = document.createElement("canvas");
+  const ctx = tile.getContext("2d", { willReadFrequently: true });
+  for (let ty = 0; ty < height; ty += maxTile) {
+    for (let tx = 0; tx < width; tx += maxTile) {
+      const tw = Math.min(maxTile, width - tx), th = Math.min(maxTile, height - ty);
+      tile.width = tw;
+      tile.height = th;
+      ctx.clearRect(0, 0, tw, th);
+      ctx.drawImage(image, tx * sx, ty * sy, tw * sx, th * sy, 0, 0, tw, th);
+      const part = ctx.getImageData(0, 0, tw, th).data;
+      for (let row = 0; row < th; row++) {
+        data.set(part.subarray(row * tw * 4, (row + 1) * tw * 4), ((ty + row) * width + tx) * 4);
+      }
+    }
+  }
+  return { data, width, height };
+}
+
+/* ---------------------------- Palette remap ---------------------------- */
+
+/**
+ * Map each cluster to its nearest palette color (by `deltaE`) and merge clusters sharing one.
+ * Each merged row keeps the pixel-weighted average and the worst ∆E of its cluster matches.
+ * `pixelCosts[cluster][color]` (summed ∆E of the cluster's pixels, see selectPaletteSubset)
+ * replaces the distance from the cluster's average color when given.
+ * Returns { clusters, labels, matches } with labels renumbered to the merged rows and
+ * `matches[i]` = { row, deltaE } for input cluster i, or null.
+ */
+export function remapClustersToPalette(clusters, labels, paletteColors, deltaE = deltaE76, pixelCosts = null) {
+  if (!clusters?.length || !Array.isArray(paletteColors) || !paletteColors.length) {
+    return null;
+  }
+  const paletteEntries = paletteColors
+    .map((color, idx) => {
+      const rgb = hexToRgb(color.hex);
+      if (!rgb) return null;
+      return {
+        index: idx,
+        name: color.name || "",
+        hex: rgbToHex(rgb[0], rgb[1], rgb[2]).toUpperCase(),
+        rgb,
+        lab: rgbToLab(rgb[0], rgb[1], rgb[2])
+      };
+    })
+    .filter(Boolean);
+  if (!paletteEntries.length) return null;
+
+  const aggregateByPalette = new Map();
+  const clusterDeltaE = new Array(clusters.length).fill(NaN);
+
+  clusters.forEach((cluster, idx) => {
+    const rgb = hexToRgb(cluster.hex);
+    if (!rgb) return;
+    const lab = rgbToLab(rgb[0], rgb[1], rgb[2]);
+    const costs = pixelCosts?.[idx];
+    let bestEntry = null;
+    let bestDist = Infinity;
+    for (const entry of paletteEntries) {
+      const dist = costs && cluster.pixelCount > 0
+        ? costs[entry.index] / cluster.pixelCount
+        : deltaE(entry.lab, lab);
+      if (dist < bestDist) {
+        bestDist = dist;
+        bestEntry = entry;
+      }
+    }
+    if (!bestEntry) return;
+    clusterDeltaE[idx] = bestDist;
+    if (!aggregateByPalette.has(bestEntry.index)) {
+      aggregateByPalette.set(bestEntry.index, {
+        paletteIndex: bestEntry.index,
+        name: bestEntry.name,
+        hex: bestEntry.hex,
+        rgb: bestEntry.rgb,
+        pixelCount: 0,
+        percentValid: 0,
+        areaCm2: 0,
+        deltaESum: 0,
+        deltaEMax: 0,
+        clusters: []
+      });
+    }
+    const agg = aggregateByPalette.get(bestEntry.index);
+    agg.deltaESum += bestDist * (cluster.pixelCount || 0);
+    agg.deltaEMax = Math.max(agg.deltaEMax, bestDist);
+    agg.pixelCount += cluster.pixelCount || 0;
+    agg.percentValid += cluster.percentValid || 0;
+    agg.areaCm2 += cluster.areaCm2 || 0;
+    agg.clusters.push(idx);
+  });
+
+  if (!aggregateByPalette.size) {
+    return null;
+  }
+
+  const aggregated = Array.from(aggregateByPalette.values()).sort((a, b) => b.pixelCount - a.pixelCount);
+  const clusterToAggIdx = new Array(clusters.length).fill(-1);
+  aggregated.forEach((agg, aggIdx) => {
+    agg.clusters.forEach(clusterIdx => {
+      clusterToAggIdx[clusterIdx] = aggIdx;
+    });
+  });
+
+  const remappedLabels = labels ? new Int16Array(labels.length) : null;
+  if (labels && remappedLabels) {
+    for (let i = 0; i < labels.length; i++) {
+      const orig = labels[i];
+      remappedLabels[i] = orig < 0 ? -1 : (clusterToAggIdx[orig] ?? -1);
+    }
+  }
+
+  const remappedClusters = aggregated.map((agg, aggIdx) => ({
+    id: aggIdx,
+    rgb: agg.rgb,
+    hex: agg.hex,
+    name: agg.name || "",
+    pixelCount: agg.pixelCount,
+    percentValid: agg.percentValid,
+    areaCm2: agg.areaCm2,
+    matchDeltaE: agg.pixelCount > 0 ? agg.deltaESum / agg.pixelCount : agg.deltaEMax,
+    matchDeltaEMax: agg.deltaEMax
+  }));
+
+  return {
+    clusters: remappedClusters,
+    labels: remappedLabels ?? labels,
+    matches: clusters.map((c, idx) => ({ row: clusterToAggIdx[idx], deltaE: clusterDeltaE[idx] }))
+  };
+}
+
+/* --------------------------- Palette subset ---------------------------- */
+
+// Pixels are binned at 5 bits per channel before measuring ∆E
+const BIN_SHIFT = 3;
+
+// Bin index of the pixel at byte offset p, and the color at the center of a bin
+function colorBin(data, p) {
+  return ((data[p] >> BIN_SHIFT) << 10) | ((data[p + 1] >> BIN_SHIFT) << 5) | (data[p + 2] >> BIN_SHIFT);
+}
+function binLab(bin) {
+  const half = 1 << (BIN_SHIFT - 1);
+  return rgbToLab(((bin >> 10) << BIN_SHIFT) + half, (((bin >> 5) & 31) << BIN_SHIFT) + half, ((bin & 31) << BIN_SHIFT) + half);
+}
+
+/**
+ * Choose at most `maxColors` palette yarns minimising the total ∆E over the labelled pixels,
+ * each cluster being tufted in whichever chosen yarn suits its pixels best.
+ * Greedy additions, then single swaps while they lower the error.
+ * Returns { paletteColors, costs } with `costs[cluster][i]` the summed ∆E of the cluster's
+ * pixels against the i-th chosen yarn, or null when the palette has no valid color.
+ */
+export function selectPaletteSubset(data, labels, clusterCount, paletteColors, maxColors, deltaE = deltaE76) {
+  const entries = (paletteColors || [])
+    .map(color => ({ color, rgb: hexToRgb(color.hex) }))
+    .filter(e => e.rgb)
+    .map(e => ({ ...e, lab: rgbToLab(e.rgb[0], e.rgb[1], e.rgb[2]) }));
+  if (!entries.length || !clusterCount) return null;
+
+  // Pixel counts per (cluster, color bin)
+  const counts = new Map();
+  for (let i = 0, p = 0; i < labels.length; i++, p += 4) {
+    if (labels[i] < 0) continue;
+    const key = labels[i] * 32768 + colorBin(data, p);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  // costs[cluster][palette index] = summed ∆E of its pixels against that yarn
+  const costs = Array.from({ length: clusterCount }, () => new Float64Array(entries.length));
+  for (const [key, count] of counts) {
+    const cluster = Math.floor(key / 32768);
+    const lab = binLab(key % 32768);
+    const row = costs[cluster];
+    for (let j = 0; j < entries.length; j++) row[j] += count * deltaE(entries[j].lab, lab);
+  }
+
+  const errorOf = (chosen) => costs.reduce((sum, row) => {
+    let best = Infinity;
+    for (const j of chosen) if (row[j] < best) best = row[j];
+    return sum + best;
+  }, 0);
+
+  const limit = Math.max(1, Math.min(Math.floor(maxColors), entries.length));
+  const chosen = [];
+  let error = Infinity;
+  while (chosen.length < limit) {
+    let bestJ = -1, bestError = error;
+    for (let j = 0; j < entries.length; j++) {
+      if (chosen.includes(j)) continue;
+      const e = errorOf([...chosen, j]);
+      if (e < bestError) { bestError = e; bestJ = j; }
+    }
+    if (bestJ < 0) break; // further yarns would not be used
+    chosen.push(bestJ);
+    error = bestError;
+  }
+
+  for (let pass = 0, improved = true; improved && pass < 50; pass++) {
+    improved = false;
+    for (let k = 0; k < chosen.length; k++) {
+      for (let j = 0; j < entries.length; j++) {
+        if (chosen.includes(j)) continue;
+        const trial = chosen.slice();
+        trial[k] = j;
+        const e = errorOf(trial);
+        if (e < error - 1e-9) { chosen[k] = j; error = e; improved = true; }
+      }
+    }
+  }
+
+  return {
+    paletteColors: chosen.map(j => entries[j].color),
+    costs: costs.map(row => chosen.map(j => row[j])),
+  };
+}
+
+/**
+ * ∆E of every labelled pixel against the palette color of its row (rounded, capped at 255;
+ * 0 for unlabelled pixels), with the mean and worst value over the labelled pixels.
+ */
+function paletteMatchError(data, labels, rows, deltaE) {
+  const rowLabs = rows.map(r => rgbToLab(r.rgb[0], r.rgb[1], r.rgb[2]));
+  const map = new Uint8Array(labels.length);
+  const cache = new Map();
+  let sum = 0, max = 0, n = 0;
+  for (let i = 0, p = 0; i < labels.length; i++, p += 4) {
+    const label = labels[i];
+    if (label < 0) continue;
+    const key = label * 32768 + colorBin(data, p);
+    let dist = cache.get(key);
+    if (dist === undefined) {
+      dist = deltaE(rowLabs[label], binLab(key % 32768));
+      cache.set(key, dist);
+    }
+    map[i] = Math.min(255, Math.round(dist));
+    sum += dist;
+    if (dist > max) max = dist;
+    n++;
+  }
+  return { map, meanDeltaE: n ? sum / n : 0, maxDeltaE: max };
+}
 
-  // Map UI tolerance to a Lab ∆E threshold
+/* ---------------------------- Quantization ----------------------------- */
+
+// Report progress once per 65536 pixels (mask for the pixel index)
+const PROGRESS_EVERY = 0xFFFF;
+
+// Single greedy pass: each pixel joins the nearest running Lab mean within the tolerance.
+function toleranceClusters(data, alphaThreshold, tolerance, deltaEMetric = "76", onProgress = () => {}) {
+  // Map UI tolerance to a ∆E76 threshold, then to the same perceived step in the chosen metric
   const deltaEMin = 3, deltaEMax = 50;
-  const deltaEThreshold = deltaEMin + (deltaEMax - deltaEMin) * (tolerance / 100);
+  const deltaE = getDeltaE(deltaEMetric);
+  const deltaEThreshold = (deltaEMin + (deltaEMax - deltaEMin) * (tolerance / 100)) * deltaEScale(deltaEMetric);
 
   const clusters = [];
-  const rawLabel = new Int16Array(width * height);
+  const rawLabel = new Int16Array(data.length / 4);
   rawLabel.fill(-1);
-
-  let pixelsTotal = width * height;
   let pixelsValid = 0;
 
-  // First pass: cluster + assign provisional labels
+  const pixelCount = data.length / 4;
   for (let p = 0, idx = 0; p < data.length; p += 4, idx++) {
+    if ((idx & PROGRESS_EVERY) === 0) onProgress(idx / pixelCount);
     const r = data[p], g = data[p + 1], b = data[p + 2], a = data[p + 3];
     if (a <= alphaThreshold) continue;
 
@@ -41,7 +577,7 @@ export function analyzeImage(canvas, {
 
     let bestIdx = -1, bestDist = Infinity;
     for (let c = 0; c < clusters.length; c++) {
-      const d = deltaE76(lab, clusters[c].labMean);
+      const d = deltaE(lab, clusters[c].labMean);
       if (d < bestDist) { bestDist = d; bestIdx = c; }
     }
 
@@ -65,55 +601,227 @@ export function analyzeImage(canvas, {
     }
   }
 
-  const boxAreaCm2 = Math.max(0, rugWidthCm) * Math.max(0, rugHeightCm);
-  const areaPerPixel = pixelsTotal > 0 ? boxAreaCm2 / pixelsTotal : 0;
-  const minArea = Math.max(0, minAreaCm2);
-  const minPixels = areaPerPixel > 0 ? (minArea / areaPerPixel) : 0;
+  return { clusters, rawLabel, pixelsValid };
+}
 
-  // Build detailed clusters
-  const detailed = clusters.map(c => {
-    const rgb = [Math.round(c.rgbSum[0] / c.count), Math.round(c.rgbSum[1] / c.count), Math.round(c.rgbSum[2] / c.count)];
-    const pct = pixelsValid > 0 ? (100 * c.count / pixelsValid) : 0;
-    const areaCm2 = c.count * areaPerPixel;
-    return { id: c.id, rgb, hex: rgbToHex(rgb[0], rgb[1], rgb[2]), pixelCount: c.count, percentValid: pct, areaCm2 };
-  });
+/**
+ * K-means in Lab space to exactly `k` colors (fewer if the image has fewer).
+ * Runs on the unique colors weighted by pixel count, seeded with a deterministic
+ * k-means++ so the result does not depend on pixel order or on random state.
+ * Always Euclidean (∆E76): the centroid update is only a true mean for that metric.
+ */
+function kMeansClusters(data, alphaThreshold, k, maxIterations = 30, onProgress = () => {}) {
+  const rawLabel = new Int16Array(data.length / 4);
+  rawLabel.fill(-1);
 
-  // Filter by min area (converted to pixel count); keep all if rug size is unknown
-  const kept = [], dropped = [];
-  for (const c of detailed) {
-    if (c.pixelCount >= minPixels) kept.push(c); else dropped.push(c);
+  // Histogram of unique opaque colors
+  const uniqueIdx = new Map(); // packed rgb -> unique index
+  const pixelUnique = new Int32Array(data.length / 4).fill(-1);
+  const rgbList = [], weights = [];
+  let pixelsValid = 0;
+  for (let p = 0, idx = 0; p < data.length; p += 4, idx++) {
+    if (data[p + 3] <= alphaThreshold) continue;
+    pixelsValid++;
+    const key = (data[p] << 16) | (data[p + 1] << 8) | data[p + 2];
+    let u = uniqueIdx.get(key);
+    if (u === undefined) {
+      u = rgbList.length;
+      uniqueIdx.set(key, u);
+      rgbList.push([data[p], data[p + 1], data[p + 2]]);
+      weights.push(0);
+    }
+    weights[u]++;
+    pixelUnique[idx] = u;
   }
-  kept.sort((a, b) => b.pixelCount - a.pixelCount);
 
-  // Map raw cluster ids -> kept index (0..k-1), else -1
-  const idToKept = new Map(kept.map((c, i) => [c.id, i]));
-  const labels = new Int16Array(width * height);
-  labels.fill(-1);
-  let pixelsKept = 0;
+  const n = rgbList.length;
+  if (!n) return { clusters: [], rawLabel, pixelsValid };
+  onProgress(0.1);
+  const labs = rgbList.map(([r, g, b]) => rgbToLab(r, g, b));
+  const kk = Math.max(1, Math.min(Math.round(Number(k) || 1), n));
 
-  for (let i = 0; i < rawLabel.length; i++) {
-    const rid = rawLabel[i];
-    if (rid < 0) { labels[i] = -1; continue; }
-    const mapped = idToKept.has(rid) ? idToKept.get(rid) : -1;
-    labels[i] = (mapped ?? -1);
-    if (labels[i] >= 0) pixelsKept++;
+  // k-means++ seeding with a fixed-seed PRNG; first center = most frequent color
+  const random = mulberry32(0x7f4a7c15);
+  let first = 0;
+  for (let u = 1; u < n; u++) if (weights[u] > weights[first]) first = u;
+  const centers = [labs[first].slice()];
+  const nearest = new Float64Array(n).fill(Infinity);
+  while (centers.length < kk) {
+    const last = centers[centers.length - 1];
+    let total = 0;
+    for (let u = 0; u < n; u++) {
+      const d = sqDist(labs[u], last);
+      if (d < nearest[u]) nearest[u] = d;
+      total += nearest[u] * weights[u];
+    }
+    if (total <= 0) break;
+    let target = random() * total, pick = n - 1;
+    for (let u = 0; u < n; u++) {
+      target -= nearest[u] * weights[u];
+      if (target <= 0) { pick = u; break; }
+    }
+    centers.push(labs[pick].slice());
   }
 
-  const totals = {
-    pixelsTotal,
-    pixelsValid,
-    pixelsKept,
-    areaCm2: kept.reduce((s, c) => s + c.areaCm2, 0),
-    boxAreaCm2,
-    areaPerPixel,
-    droppedCount: dropped.length,
+  // Lloyd iterations
+  const assign = new Int32Array(n).fill(-1);
+  for (let iter = 0; iter < maxIterations; iter++) {
+    onProgress(0.2 + 0.8 * iter / maxIterations);
+    let moved = 0;
+    for (let u = 0; u < n; u++) {
+      let best = 0, bestDist = Infinity;
+      for (let c = 0; c < centers.length; c++) {
+        const d = sqDist(labs[u], centers[c]);
+        if (d < bestDist) { bestDist = d; best = c; }
+      }
+      if (assign[u] !== best) { assign[u] = best; moved++; }
+    }
+    if (!moved) break;
+
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    for (let u = 0; u < n; u++) {
+      const sum = sums[assign[u]], w = weights[u], lab = labs[u];
+      sum[0] += lab[0] * w; sum[1] += lab[1] * w; sum[2] += lab[2] * w; sum[3] += w;
+    }
+    sums.forEach((sum, c) => {
+      if (sum[3] > 0) centers[c] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+    });
+  }
+
+  // Build clusters in the same shape as the tolerance pass
+  const clusters = centers.map((center, id) => ({
+    id, count: 0, rgbSum: [0, 0, 0], labSum: [0, 0, 0], labMean: center,
+  }));
+  for (let u = 0; u < n; u++) {
+    const cl = clusters[assign[u]], w = weights[u];
+    cl.count += w;
+    cl.rgbSum[0] += rgbList[u][0] * w; cl.rgbSum[1] += rgbList[u][1] * w; cl.rgbSum[2] += rgbList[u][2] * w;
+    cl.labSum[0] += labs[u][0] * w; cl.labSum[1] += labs[u][1] * w; cl.labSum[2] += labs[u][2] * w;
+  }
+  for (let idx = 0; idx < pixelUnique.length; idx++) {
+    if (pixelUnique[idx] >= 0) rawLabel[idx] = assign[pixelUnique[idx]];
+  }
+
+  return { clusters, rawLabel, pixelsValid };
+}
+
+function sqDist(a, b) {
+  const d0 = a[0] - b[0], d1 = a[1] - b[1], d2 = a[2] - b[2];
+  return d0 * d0 + d1 * d1 + d2 * d2;
+}
+
+function mulberry32(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6D2B79F5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
   };
+}
+
+/* ------------------------ Connected components ------------------------- */
+
+/**
+ * Walk every 4-connected island of equal labels and call `visit(label, pixels, size)`.
+ * `pixels` is a shared buffer: only its first `size` entries belong to the island.
+ */
+function forEachIsland(labels, width, height, visit) {
+  const n = width * height;
+  const seen = new Uint8Array(n);
+  const pixels = new Int32Array(n);
+
+  for (let start = 0; start < n; start++) {
+    if (seen[start] || labels[start] < 0) continue;
+    const label = labels[start];
+    let size = 0, head = 0;
+    pixels[size++] = start;
+    seen[start] = 1;
+
+    while (head < size) {
+      const p = pixels[head++];
+      const x = p % width;
+      if (x > 0 && !seen[p - 1] && labels[p - 1] === label) { seen[p - 1] = 1; pixels[size++] = p - 1; }
+      if (x < width - 1 && !seen[p + 1] && labels[p + 1] === label) { seen[p + 1] = 1; pixels[size++] = p + 1; }
+      if (p >= width && !seen[p - width] && labels[p - width] === label) { seen[p - width] = 1; pixels[size++] = p - width; }
+      if (p + width < n && !seen[p + width] && labels[p + width] === label) { seen[p + width] = 1; pixels[size++] = p + width; }
+    }
+
+    visit(label, pixels, size);
+  }
+}
 
-  return { clusters: kept, dropped, totals, labels, size: { width, height } };
+/**
+ * Relabel islands smaller than `minPixels` with the neighbouring label they share
+ * the longest border with. Islands with no colored neighbour (e.g. specks surrounded by
+ * transparency) are left as they are.
+ * Mutates `labels`; repeats a few passes since absorbed islands can merge neighbours.
+ */
+export function absorbSmallIslands(labels, width, height, minPixels, maxPasses = 3) {
+  let absorbed = 0;
+  if (!(minPixels > 1) || !labels || labels.length !== width * height) return { absorbed };
+
+  for (let pass = 0; pass < maxPasses; pass++) {
+    let changed = 0;
+    forEachIsland(labels, width, height, (label, pixels, size) => {
+      if (size >= minPixels) return;
+
+      const border = new Map();
+      for (let k = 0; k < size; k++) {
+        const p = pixels[k];
+        const x = p % width;
+        const around = [
+          x > 0 ? p - 1 : -1,
+          x < width - 1 ? p + 1 : -1,
+          p >= width ? p - width : -1,
+          p + width < labels.length ? p + width : -1,
+        ];
+        for (const q of around) {
+          if (q < 0) continue;
+          const other = labels[q];
+          if (other >= 0 && other !== label) border.set(other, (border.get(other) || 0) + 1);
+        }
+      }
+
+      let target = -1, best = 0;
+      border.forEach((count, other) => { if (count > best) { best = count; target = other; } });
+      if (target < 0) return;
+      for (let k = 0; k < size; k++) labels[pixels[k]] = target;
+      absorbed++;
+      changed++;
+    });
+    if (!changed) break;
+  }
+
+  return { absorbed };
+}
+
+/**
+ * Count the separate islands of each label and their areas (cm², largest first).
+ * Returns an array indexed by label: { count, areasCm2 }.
+ */
+export function analyzeIslands(labels, width, height, areaPerPixel) {
+  const stats = [];
+  if (!labels || labels.length !== width * height) return stats;
+
+  forEachIsland(labels, width, height, (label, pixels, size) => {
+    if (!stats[label]) stats[label] = { count: 0, areasCm2: [] };
+    stats[label].count++;
+    stats[label].areasCm2.push(size * areaPerPixel);
+  });
+  stats.forEach(s => s?.areasCm2.sort((a, b) => b - a));
+  return stats;
 }
 
 /* ------------------------------ Color utils ------------------------------ */
 
+function hexToRgb(hex) {
+  let v = String(hex || "").trim().replace(/^#/, "");
+  if (/^[0-9a-fA-F]{3}$/.test(v)) v = v.split("").map(ch => ch + ch).join("");
+  if (!/^[0-9a-fA-F]{6}$/.test(v)) return null;
+  return [parseInt(v.slice(0, 2), 16), parseInt(v.slice(2, 4), 16), parseInt(v.slice(4, 6), 16)];
+}
+
 function rgbToHex(r, g, b) {
   return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
 }
@@ -153,4 +861,83 @@ function deltaE76(lab1, lab2) {
   return Math.sqrt(dL * dL + da * da + db * db);
 }
 
-export { rgbToLab, deltaE76 };
+// CIE94, graphic arts weights (kL = 1, K1 = 0.045, K2 = 0.015); lab1 is the reference.
+function deltaE94(lab1, lab2) {
+  const [L1, a1, b1] = lab1, [L2, a2, b2] = lab2;
+  const dL = L1 - L2;
+  const C1 = Math.hypot(a1, b1), C2 = Math.hypot(a2, b2);
+  const dC = C1 - C2;
+  const da = a1 - a2, db = b1 - b2;
+  const dH2 = Math.max(0, da * da + db * db - dC * dC);
+  const sC = 1 + 0.045 * C1, sH = 1 + 0.015 * C1;
+  return Math.sqrt(dL * dL + (dC / sC) ** 2 + dH2 / (sH * sH));
+}
+
+// CIEDE2000 (Sharma, Wu & Dalal 2005 formulation), kL = kC = kH = 1.
+function deltaE2000(lab1, lab2) {
+  const [L1, a1, b1] = lab1, [L2, a2, b2] = lab2;
+  const rad = Math.PI / 180;
+
+  const C1 = Math.hypot(a1, b1), C2 = Math.hypot(a2, b2);
+  const Cbar7 = ((C1 + C2) / 2) ** 7;
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + 25 ** 7)));
+  const a1p = (1 + G) * a1, a2p = (1 + G) * a2;
+  const C1p = Math.hypot(a1p, b1), C2p = Math.hypot(a2p, b2);
+  const h1p = hueDeg(b1, a1p), h2p = hueDeg(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360; else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+    else hbarp = (h1p + h2p < 360) ? (hbarp + 360) / 2 : (hbarp - 360) / 2;
+  }
+
+  const T = 1
+    - 0.17 * Math.cos((hbarp - 30) * rad)
+    + 0.24 * Math.cos(2 * hbarp * rad)
+    + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+    - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+  const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+  const Cbarp7 = Cbarp ** 7;
+  const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + 25 ** 7));
+  const SL = 1 + (0.015 * (Lbarp - 50) ** 2) / Math.sqrt(20 + (Lbarp - 50) ** 2);
+  const SC = 1 + 0.045 * Cbarp;
+  const SH = 1 + 0.015 * Cbarp * T;
+  const RT = -Math.sin(2 * dTheta * rad) * RC;
+
+  const tL = dLp / SL, tC = dCp / SC, tH = dHp / SH;
+  return Math.sqrt(tL * tL + tC * tC + tH * tH + RT * tC * tH);
+}
+
+function hueDeg(b, a) {
+  if (a === 0 && b === 0) return 0;
+  const h = Math.atan2(b, a) * 180 / Math.PI;
+  return h >= 0 ? h : h + 360;
+}
+
+const DELTA_E_FUNCTIONS = { "76": deltaE76, "94": deltaE94, "2000": deltaE2000 };
+// Typical distance per unit of ∆E76 (median over color pairs 3–50 ∆E76 apart). CIE94 and
+// CIEDE2000 give much smaller numbers for saturated colors.
+const DELTA_E_SCALE = { "76": 1, "94": 0.55, "2000": 0.5 };
+
+// Resolve a metric id ("76" | "94" | "2000") to its distance function; defaults to ∆E76.
+function getDeltaE(metric) {
+  return DELTA_E_FUNCTIONS[String(metric)] || deltaE76;
+}
+
+// Factor that turns a threshold given in ∆E76 terms into the same step in `metric`.
+function deltaEScale(metric) {
+  return DELTA_E_SCALE[String(metric)] || 1;
+}
+
+export { rgbToLab, deltaE76, deltaE94, deltaE2000, getDeltaE, deltaEScale };
@@ -0,0 +1,119 @@
+// palette.js
+// Palette file schema and validator. Version 2 colors may carry shop data next to name & hex:
+// { name, hex, sku, url, fiber, yarnGPerM, yarnMPerKg, coneWeightG, conePrice, pricePerKg },
+// with prices in the palette's `currency`. Version 1 files ({ name, colors: [{ name, hex }] }) stay valid.
+
+export const PALETTE_SCHEMA = "tufting-yarn-palette";
+export const PALETTE_VERSION = 2;
+
+const TEXT_FIELDS = ["sku", "fiber"];
+const NUMBER_FIELDS = ["yarnGPerM", "yarnMPerKg", "coneWeightG", "conePrice", "pricePerKg"];
+
+/**
+ * Check a parsed palette file and return it cleaned up as { name, vendor, currency, colors }.
+ * `errors` mean the file cannot be used; `warnings` name the colors or fields that were skipped.
+ * Returns { palette, errors, warnings } (`palette` is null when there are errors).
+ */
+export function validatePalette(data) {
+  const errors = [], warnings = [];
+  if (!data || typeof data !== "object" || !Array.isArray(data.colors)) {
+    return { palette: null, errors: ["Not a palette file: expected an object with a “colors” list."], warnings };
+  }
+  if (data.schema !== undefined && data.schema !== PALETTE_SCHEMA) {
+    errors.push(`Unknown palette schema “${data.schema}”.`);
+  }
+  const version = data.version === undefined ? 1 : Number(data.version);
+  if (!Number.isInteger(version) || version < 1) {
+    errors.push(`Invalid palette version “${data.version}”.`);
+  } else if (version > PALETTE_VERSION) {
+    errors.push(`Palette version ${version} is newer than this app supports (${PALETTE_VERSION}).`);
+  }
+
+  let currency = text(data.currency).toUpperCase();
+  if (currency && !/^[A-Z]{3}$/.test(currency)) {
+    warnings.push(`Currency “${data.currency}” is not a 3-letter code; prices are used as they are.`);
+    currency = "";
+  }
+
+  const colors = [];
+  data.colors.forEach((entry, idx) => {
+    const label = `Color ${idx + 1}${text(entry?.name) ? ` (“${text(entry.name)}”)` : ""}`;
+    const hex = normalizeHex(entry?.hex);
+    if (!hex) {
+      warnings.push(`${label}: “${entry?.hex ?? ""}” is not a hex color; skipped.`);
+      return;
+    }
+    const color = { name: text(entry.name), hex };
+    TEXT_FIELDS.forEach(field => {
+      if (text(entry[field])) color[field] = text(entry[field]);
+    });
+    if (entry.url !== undefined && entry.url !== "") {
+      if (/^https?:\/\/\S+$/i.test(text(entry.url))) color.url = text(entry.url);
+      else warnings.push(`${label}: url must start with http:// or https://; ignored.`);
+    }
+    NUMBER_FIELDS.forEach(field => {
+      if (entry[field] === undefined || entry[field] === null || entry[field] === "") return;
+      const n = Number(entry[field]);
+      if (Number.isFinite(n) && n > 0) color[field] = n;
+      else warnings.push(`${label}: ${field} must be a positive number; ignored.`);
+    });
+    colors.push(color);
+  });
+  if (!colors.length) errors.push("The palette has no valid colors.");
+
+  if (errors.length) return { palette: null, errors, warnings };
+  return {
+    palette: { name: text(data.name), vendor: text(data.vendor), currency, colors },
+    errors,
+    warnings,
+  };
+}
+
+/**
+ * Palette in the current schema, ready for JSON export. Empty optional fields are left out.
+ */
+export function serializePalette({ name, vendor, currency, colors }) {
+  return {
+    schema: PALETTE_SCHEMA,
+    version: PALETTE_VERSION,
+    name: name || "",
+    ...(vendor ? { vendor } : {}),
+    ...(currency ? { currency } : {}),
+    colors: (colors || []).map(color => {
+      const out = { name: color.name || "", hex: color.hex };
+      [...TEXT_FIELDS, "url", ...NUMBER_FIELDS].forEach(field => {
+        if (color[field] !== undefined && color[field] !== "") out[field] = color[field];
+      });
+      return out;
+    }),
+  };
+}
+
+/**
+ * Per-color yarn spec (see computeYarnForClusters) from a palette color's shop data,
+ * or null when it has none. The price per kg comes from the cone price and weight
+ * when not given; `withPrice: false` leaves prices out (other currency).
+ */
+export function paletteColorYarnSpec(color, { withPrice = true } = {}) {
+  if (!color) return null;
+  const pricePerKg = color.pricePerKg ?? (color.conePrice && color.coneWeightG
+    ? (color.conePrice / color.coneWeightG) * 1000
+    : undefined);
+  const spec = {
+    yarnGPerM: color.yarnGPerM,
+    yarnMPerKg: color.yarnMPerKg,
+    yarnPricePerKg: withPrice ? pricePerKg : undefined,
+    skeinWeightG: color.coneWeightG,
+  };
+  return Object.values(spec).some(v => v !== undefined) ? spec : null;
+}
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function normalizeHex(value) {
+  let v = text(value).replace(/^#/, "");
+  if (/^[0-9a-fA-F]{3}$/.test(v)) v = v.split("").map(ch => ch + ch).join("");
+  return /^[0-9a-fA-F]{6}$/.test(v) ? `#${v.toUpperCase()}` : null;
+}
@@ -0,0 +1,441 @@
+// paletteFormats.js
+// Palette files from design tools: Adobe Swatch Exchange (.ase), GIMP (.gpl), Procreate (.swatches)
+// and CSV, next to our own JSON. Readers return { name, colors: [{ name, hex, ... }] } for
+// validatePalette (palette.js); writers take a validated palette.
+
+import { serializePalette } from "./palette.js";
+
+export const PALETTE_FORMATS = {
+  json: { label: "JSON (this app)", extension: ".palette.json", type: "application/json" },
+  ase: { label: "Adobe Swatch Exchange (.ase)", extension: ".ase", type: "application/octet-stream" },
+  gpl: { label: "GIMP palette (.gpl)", extension: ".gpl", type: "text/plain" },
+  swatches: { label: "Procreate swatches (.swatches)", extension: ".swatches", type: "application/zip" },
+  csv: { label: "CSV", extension: ".csv", type: "text/csv" },
+};
+
+// Procreate shows at most this many swatches per palette
+export const PROCREATE_MAX_SWATCHES = 30;
+
+// CSV columns, in export order (shop data as in palette.js)
+const CSV_FIELDS = ["name", "hex", "sku", "url", "fiber", "yarnGPerM", "yarnMPerKg", "coneWeightG", "conePrice", "pricePerKg"];
+const CSV_NUMBER_FIELDS = CSV_FIELDS.slice(5);
+// Palette-wide columns after those, repeated on every row: column -> palette field
+const CSV_PALETTE_COLUMNS = { palette: "name", vendor: "vendor", currency: "currency" };
+const CSV_ALIASES = { color: "hex", colour: "hex", hexcode: "hex" };
+
+/**
+ * Read a palette file by its extension (or its first bytes when the extension is unknown).
+ * `buffer` is the file's ArrayBuffer. Throws an Error with a readable message on bad files.
+ */
+export async function readPaletteFile(fileName, buffer) {
+  const bytes = new Uint8Array(buffer);
+  const format = paletteFormatOf(fileName, bytes);
+  const baseName = String(fileName || "").replace(/(\.palette)?\.[^.]+$/i, "");
+  const text = () => new TextDecoder().decode(bytes).replace(/^\uFEFF/, "");
+  switch (format) {
+    case "ase": return withName(readAse(bytes), baseName);
+    case "gpl": return withName(readGpl(text()), baseName);
+    case "swatches": return withName(await readProcreate(bytes), baseName);
+    case "csv": return withName(readCsv(text()), baseName);
+    case "json": return JSON.parse(text());
+    default: throw new Error("Unknown palette file type. Use .json, .ase, .gpl, .swatches or .csv.");
+  }
+}
+
+/**
+ * Write a validated palette ({ name, vendor, currency, colors }) in one of PALETTE_FORMATS.
+ * Returns { data, type, extension } with `data` a string or Uint8Array for a Blob.
+ */
+export function writePaletteFile(palette, format) {
+  const info = PALETTE_FORMATS[format];
+  if (!info) throw new Error(`Unknown palette format “${format}”.`);
+  const data = {
+    json: () => JSON.stringify(serializePalette(palette), null, 2),
+    ase: () => writeAse(palette),
+    gpl: () => writeGpl(palette),
+    swatches: () => writeProcreate(palette),
+    csv: () => writeCsv(palette),
+  }[format]();
+  return { data, type: info.type, extension: info.extension };
+}
+
+function paletteFormatOf(fileName, bytes) {
+  const name = String(fileName || "").toLowerCase();
+  const byExtension = Object.keys(PALETTE_FORMATS).find(f => name.endsWith(f === "json" ? ".json" : PALETTE_FORMATS[f].extension));
+  if (byExtension) return byExtension;
+  const head = String.fromCharCode(...bytes.subarray(0, 12));
+  if (head.startsWith("ASEF")) return "ase";
+  if (head.startsWith("PK\x03\x04")) return "swatches";
+  if (head.startsWith("GIMP Palette")) return "gpl";
+  if (head.trimStart().startsWith("{")) return "json";
+  return null;
+}
+
+function withName(palette, fallback) {
+  return { ...palette, name: palette.name || fallback };
+}
+
+/* --------------------------------- ASE --------------------------------- */
+
+// Blocks: 0xC001 group start, 0xC002 group end, 0x0001 color. All numbers big-endian.
+function readAse(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 12 || String.fromCharCode(...bytes.subarray(0, 4)) !== "ASEF") {
+    throw new Error("Not an Adobe Swatch Exchange file.");
+  }
+  const blockCount = view.getUint32(8);
+  let offset = 12, name = "";
+  const colors = [];
+  for (let b = 0; b < blockCount && offset + 6 <= bytes.length; b++) {
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const start = offset + 6;
+    offset = start + length;
+    if (offset > bytes.length) throw new Error("The swatch file is truncated.");
+    if (type !== 0x0001 && type !== 0xC001) continue;
+
+    const nameChars = view.getUint16(start);
+    let label = "";
+    for (let i = 0; i < nameChars; i++) {
+      const code = view.getUint16(start + 2 + 2 * i);
+      if (code) label += String.fromCharCode(code);
+    }
+    if (type === 0xC001) {
+      name = name || label;
+      continue;
+    }
+    const p = start + 2 + 2 * nameChars;
+    const model = String.fromCharCode(...bytes.subarray(p, p + 4)).trim().toUpperCase();
+    const value = (i) => view.getFloat32(p + 4 + 4 * i);
+    const rgb = {
+      RGB: () => [value(0), value(1), value(2)].map(v => v * 255),
+      CMYK: () => [value(0), value(1), value(2)].map(v => 255 * (1 - v) * (1 - value(3))),
+      LAB: () => labToRgb(value(0) <= 1 ? value(0) * 100 : value(0), value(1), value(2)),
+      GRAY: () => [value(0) * 255, value(0) * 255, value(0) * 255],
+    }[model];
+    if (rgb) colors.push({ name: label, hex: rgbToHex(rgb()) });
+  }
+  return { name, colors };
+}
+
+function writeAse({ name, colors }) {
+  const blocks = [];
+  const nameBytes = (label) => {
+    const chars = [...String(label || "")].map(ch => ch.charCodeAt(0) & 0xFFFF);
+    const out = new Uint8Array(2 + 2 * (chars.length + 1));
+    const view = new DataView(out.buffer);
+    view.setUint16(0, chars.length + 1);
+    chars.forEach((code, i) => view.setUint16(2 + 2 * i, code));
+    return out;
+  };
+  const block = (type, body) => {
+    const out = new Uint8Array(6 + body.length);
+    const view = new DataView(out.buffer);
+    view.setUint16(0, type);
+    view.setUint32(2, body.length);
+    out.set(body, 6);
+    blocks.push(out);
+  };
+
+  block(0xC001, nameBytes(name));
+  colors.forEach(color => {
+    const label = nameBytes(color.name || color.hex);
+    const body = new Uint8Array(label.length + 4 + 12 + 2);
+    const view = new DataView(body.buffer);
+    body.set(label, 0);
+    body.set([0x52, 0x47, 0x42, 0x20], label.length); // "RGB "
+    hexToRgb(color.hex).forEach((v, i) => view.setFloat32(label.length + 4 + 4 * i, v / 255));
+    view.setUint16(label.length + 16, 2); // normal (not global or spot) color
+    block(0x0001, body);
+  });
+  block(0xC002, new Uint8Array(0));
+
+  const header = new Uint8Array(12);
+  const view = new DataView(header.buffer);
+  header.set([0x41, 0x53, 0x45, 0x46]); // "ASEF"
+  view.setUint16(4, 1);
+  view.setUint16(6, 0);
+  view.setUint32(8, blocks.length);
+  return concatBytes([header, ...blocks]);
+}
+
+/* --------------------------------- GPL --------------------------------- */
+
+function readGpl(text) {
+  const lines = text.split(/\r?\n/);
+  if (!/^GIMP Palette/i.test(lines[0] || "")) throw new Error("Not a GIMP palette: the first line must be “GIMP Palette”.");
+  let name = "";
+  const colors = [];
+  lines.slice(1).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+    const header = trimmed.match(/^Name:\s*(.*)$/i);
+    if (header) { name = header[1].trim(); return; }
+    if (/^Columns:/i.test(trimmed)) return;
+    const m = trimmed.match(/^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/);
+    if (m) colors.push({ name: m[4].trim(), hex: rgbToHex([m[1], m[2], m[3]].map(Number)) });
+  });
+  return { name, colors };
+}
+
+function writeGpl({ name, colors }) {
+  const lines = ["GIMP Palette", `Name: ${(name || "Palette").replace(/[\r\n]+/g, " ")}`, "Columns: 0", "#"];
+  colors.forEach(color => {
+    const [r, g, b] = hexToRgb(color.hex);
+    lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${(color.name || color.hex).replace(/[\r\n]+/g, " ")}`);
+  });
+  return lines.join("\n") + "\n";
+}
+
+/* ------------------------------ Procreate ------------------------------ */
+
+// A .swatches file is a zip holding Swatches.json: [{ name, swatches: [{ hue, saturation, brightness }, null, …] }]
+async function readProcreate(bytes) {
+  const entry = readZipEntries(bytes).find(e => /(^|\/)swatches\.json$/i.test(e.name));
+  if (!entry) throw new Error("Not a Procreate swatches file: Swatches.json is missing.");
+  const json = JSON.parse(new TextDecoder().decode(await inflateZipEntry(entry)));
+  const palette = Array.isArray(json) ? json[0] : json;
+  const colors = (palette?.swatches || [])
+    .filter(Boolean)
+    .map(swatch => ({
+      name: typeof swatch.name === "string" ? swatch.name : "",
+      hex: rgbToHex(hsvToRgb(Number(swatch.hue) || 0, Number(swatch.saturation) || 0, Number(swatch.brightness) || 0)),
+    }));
+  return { name: palette?.name || "", colors };
+}
+
+function writeProcreate({ name, colors }) {
+  const swatches = colors.slice(0, PROCREATE_MAX_SWATCHES).map(color => {
+    const [hue, saturation, brightness] = rgbToHsv(hexToRgb(color.hex));
+    return { hue, saturation, brightness, alpha: 1, colorSpace: 0 };
+  });
+  const json = JSON.stringify([{ name: name || "Palette", swatches }]);
+  return writeZip([{ name: "Swatches.json", data: new TextEncoder().encode(json) }]);
+}
+
+/* --------------------------------- CSV --------------------------------- */
+
+// A header row names the columns (see CSV_FIELDS and CSV_PALETTE_COLUMNS); without one, each row
+// is a name and a hex code. Numbers may use a decimal comma (spreadsheets saved with ";" separators).
+function readCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+  const rows = parseCsv(text, delimiter).filter(row => row.some(cell => cell.trim()));
+  if (!rows.length) return { name: "", colors: [] };
+
+  const keyOf = (cell) => {
+    const key = cell.trim().toLowerCase().replace(/[^a-z]/g, "");
+    return CSV_ALIASES[key] || CSV_FIELDS.find(f => f.toLowerCase() === key) || (key in CSV_PALETTE_COLUMNS ? key : undefined);
+  };
+  const header = rows[0].map(keyOf);
+  if (header.includes("hex")) {
+    const palette = { name: "" };
+    const colors = rows.slice(1).map(row => {
+      const color = {};
+      header.forEach((field, i) => {
+        if (!field || row[i] === undefined || row[i].trim() === "") return;
+        const value = row[i].trim();
+        if (field in CSV_PALETTE_COLUMNS) {
+          const key = CSV_PALETTE_COLUMNS[field];
+          if (!palette[key]) palette[key] = value;
+          return;
+        }
+        color[field] = CSV_NUMBER_FIELDS.includes(field) ? value.replace(/^(\d+),(\d+)$/, "$1.$2") : value;
+      });
+      return color;
+    });
+    return { ...palette, colors };
+  }
+
+  const isHex = (cell) => /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(cell.trim());
+  const colors = rows.map(row => {
+    const hexIdx = row.findIndex(isHex);
+    const nameCell = row.find((cell, i) => i !== hexIdx && cell.trim());
+    return { name: (nameCell || "").trim(), hex: hexIdx >= 0 ? row[hexIdx].trim() : "" };
+  });
+  return { name: "", colors };
+}
+
+function writeCsv(palette) {
+  const escape = (value) => {
+    const s = value === undefined || value === null ? "" : String(value);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const paletteCells = Object.values(CSV_PALETTE_COLUMNS).map(f => escape(palette[f]));
+  const header = [...CSV_FIELDS, ...Object.keys(CSV_PALETTE_COLUMNS)].join(",");
+  const rows = palette.colors.map(color => [...CSV_FIELDS.map(f => escape(color[f])), ...paletteCells].join(","));
+  return [header, ...rows].join("\n") + "\n";
+}
+
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+}
+
+/* --------------------------------- Zip --------------------------------- */
+
+// Entries from the central directory: { name, method, data } (data still compressed)
+function readZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { end = i; break; }
+  }
+  if (end < 0) throw new Error("The swatches file is not a valid zip archive.");
+
+  const entries = [];
+  const count = view.getUint16(end + 10, true);
+  let p = view.getUint32(end + 16, true);
+  for (let i = 0; i < count && view.getUint32(p, true) === 0x02014b50; i++) {
+    const method = view.getUint16(p + 10, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLength = view.getUint16(p + 28, true);
+    const extraLength = view.getUint16(p + 30, true);
+    const commentLength = view.getUint16(p + 32, true);
+    const local = view.getUint32(p + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(p + 46, p + 46 + nameLength));
+    const dataStart = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    entries.push({ name, method, data: bytes.subarray(dataStart, dataStart + size) });
+    p += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function inflateZipEntry({ method, data }) {
+  if (method === 0) return data;
+  if (method !== 8 || typeof DecompressionStream === "undefined") {
+    throw new Error("This swatches file uses a compression this browser cannot read.");
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Uncompressed ("stored") zip of [{ name, data: Uint8Array }]
+function writeZip(files) {
+  const local = [], central = [];
+  let offset = 0;
+  files.forEach(file => {
+    const name = new TextEncoder().encode(file.name);
+    const crc = crc32(file.data);
+    const header = new Uint8Array(30 + name.length);
+    const h = new DataView(header.buffer);
+    h.setUint32(0, 0x04034b50, true);
+    h.setUint16(4, 20, true);
+    h.setUint32(14, crc, true);
+    h.setUint32(18, file.data.length, true);
+    h.setUint32(22, file.data.length, true);
+    h.setUint16(26, name.length, true);
+    header.set(name, 30);
+
+    const entry = new Uint8Array(46 + name.length);
+    const c = new DataView(entry.buffer);
+    c.setUint32(0, 0x02014b50, true);
+    c.setUint16(4, 20, true);
+    c.setUint16(6, 20, true);
+    c.setUint32(16, crc, true);
+    c.setUint32(20, file.data.length, true);
+    c.setUint32(24, file.data.length, true);
+    c.setUint16(28, name.length, true);
+    c.setUint32(42, offset, true);
+    entry.set(name, 46);
+
+    local.push(header, file.data);
+    central.push(entry);
+    offset += header.length + file.data.length;
+  });
+  const centralSize = central.reduce((s, e) => s + e.length, 0);
+  const end = new Uint8Array(22);
+  const e = new DataView(end.buffer);
+  e.setUint32(0, 0x06054b50, true);
+  e.setUint16(8, files.length, true);
+  e.setUint16(10, files.length, true);
+  e.setUint32(12, centralSize, true);
+  e.setUint32(16, offset, true);
+  return concatBytes([...local, ...central, end]);
+}
+
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((s, p) => s + p.length, 0));
+  let offset = 0;
+  parts.forEach(p => { out.set(p, offset); offset += p.length; });
+  return out;
+}
+
+/* ------------------------------ Color utils ------------------------------ */
+
+function hexToRgb(hex) {
+  const v = String(hex || "").replace(/^#/, "");
+  return [0, 2, 4].map(i => parseInt(v.slice(i, i + 2), 16) || 0);
+}
+
+function rgbToHex(rgb) {
+  return "#" + rgb.map(v => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, "0")).join("").toUpperCase();
+}
+
+function hsvToRgb(h, s, v) {
+  const i = Math.floor(h * 6), f = h * 6 - i;
+  const p = v * (1 - s), q = v * (1 - f * s), t = v * (1 - (1 - f) * s);
+  const [r, g, b] = [[v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q]][((i % 6) + 6) % 6];
+  return [r * 255, g * 255, b * 255];
+}
+
+function rgbToHsv([r, g, b]) {
+  r /= 255; g /= 255; b /= 255;
+  const max = Math.max(r, g, b), min = Math.min(r, g, b), d = max - min;
+  let h = 0;
+  if (d) {
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    h = (h / 6 + 1) % 1;
+  }
+  return [h, max ? d / max : 0, max];
+}
+
+// CIE Lab (D65) to sRGB
+function labToRgb(L, a, b) {
+  const fy = (L + 16) / 116, fx = fy + a / 500, fz = fy - b / 200;
+  const inv = (t) => t > 6 / 29 ? t * t * t : 3 * (6 / 29) ** 2 * (t - 4 / 29);
+  const x = 0.95047 * inv(fx), y = inv(fy), z = 1.08883 * inv(fz);
+  const lin = [
+    3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+    -0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+    0.0556434 * x - 0.2040259 * y + 1.0572252 * z,
+  ];
+  return lin.map(c => 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(Math.max(0, c), 1 / 2.4) - 0.055));
+}
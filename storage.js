@@ -1,9 +1,14 @@
 // storage.js
-// Tiny wrapper around localStorage for settings & presets.
+// Tiny wrapper around localStorage for settings, presets, gun profiles, palettes, calibrations,
+// shipping rates & the yarn inventory.
 
 const SETTINGS_KEY = "tyc:lastSettings:v1";
 const PRESETS_KEY = "tyc:presets:v1";
+const GUN_PROFILES_KEY = "tyc:gunProfiles:v1";
 const PALETTES_KEY = "tyc:palettes:v1";
+const CALIBRATIONS_KEY = "tyc:calibrations:v1";
+const SHIPPING_RATES_KEY = "tyc:shippingRates:v1";
+const INVENTORY_KEY = "tyc:inventory:v1";
 
 export function loadLastSettings() {
   try {
@@ -42,6 +47,28 @@ export function deletePreset(name) {
   try { localStorage.setItem(PRESETS_KEY, JSON.stringify(presets)); } catch { }
 }
 
+// Custom gun profiles, keyed by name like presets (the built-in ones live in app.js).
+export function loadGunProfiles() {
+  try {
+    const raw = localStorage.getItem(GUN_PROFILES_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch { return []; }
+}
+
+export function saveGunProfile(profile) {
+  const profiles = loadGunProfiles();
+  const idx = profiles.findIndex(p => p.name === profile.name);
+  const payload = { ...profile, savedAt: Date.now() };
+  if (idx >= 0) profiles[idx] = payload; else profiles.push(payload);
+  try { localStorage.setItem(GUN_PROFILES_KEY, JSON.stringify(profiles)); } catch { }
+  return payload;
+}
+
+export function deleteGunProfile(name) {
+  const profiles = loadGunProfiles().filter(p => p.name !== name);
+  try { localStorage.setItem(GUN_PROFILES_KEY, JSON.stringify(profiles)); } catch { }
+}
+
 export function loadColorPalettes() {
   try {
     const raw = localStorage.getItem(PALETTES_KEY);
@@ -51,10 +78,11 @@ export function loadColorPalettes() {
   }
 }
 
-export function saveColorPalette(name, colors) {
+// `meta` may hold the palette's vendor and price currency (see palette.js)
+export function saveColorPalette(name, colors, { vendor = "", currency = "" } = {}) {
   const palettes = loadColorPalettes();
   const idx = palettes.findIndex(p => p.name === name);
-  const payload = { name, colors, savedAt: Date.now() };
+  const payload = { name, vendor, currency, colors, savedAt: Date.now() };
   if (idx >= 0) palettes[idx] = payload; else palettes.push(payload);
   try { localStorage.setItem(PALETTES_KEY, JSON.stringify(palettes)); } catch { }
 }
@@ -63,3 +91,59 @@ export function deleteColorPalette(name) {
   const palettes = loadColorPalettes().filter(p => p.name !== name);
   try { localStorage.setItem(PALETTES_KEY, JSON.stringify(palettes)); } catch { }
 }
+
+export function loadCalibrations() {
+  try {
+    const raw = localStorage.getItem(CALIBRATIONS_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch { return []; }
+}
+
+// Several calibrations may share a gun/yarn combination, so entries are keyed by id.
+export function saveCalibration(calibration) {
+  const calibrations = loadCalibrations();
+  const payload = { ...calibration, id: calibration.id || `cal-${Date.now()}`, savedAt: Date.now() };
+  const idx = calibrations.findIndex(c => c.id === payload.id);
+  if (idx >= 0) calibrations[idx] = payload; else calibrations.push(payload);
+  try { localStorage.setItem(CALIBRATIONS_KEY, JSON.stringify(calibrations)); } catch { }
+  return payload;
+}
+
+export function deleteCalibration(id) {
+  const calibrations = loadCalibrations().filter(c => c.id !== id);
+  try { localStorage.setItem(CALIBRATIONS_KEY, JSON.stringify(calibrations)); } catch { }
+}
+
+export function loadShippingRates() {
+  try {
+    const raw = localStorage.getItem(SHIPPING_RATES_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch { return []; }
+}
+
+// Rate tables are keyed by id so a renamed table keeps its place in saved settings.
+export function saveShippingRate(table) {
+  const tables = loadShippingRates();
+  const payload = { ...table, id: table.id || `ship-${Date.now()}`, savedAt: Date.now() };
+  const idx = tables.findIndex(t => t.id === payload.id);
+  if (idx >= 0) tables[idx] = payload; else tables.push(payload);
+  try { localStorage.setItem(SHIPPING_RATES_KEY, JSON.stringify(tables)); } catch { }
+  return payload;
+}
+
+export function deleteShippingRate(id) {
+  const tables = loadShippingRates().filter(t => t.id !== id);
+  try { localStorage.setItem(SHIPPING_RATES_KEY, JSON.stringify(tables)); } catch { }
+}
+
+// Yarn on hand: [{ name, hex, grams }], saved as a whole like a palette.
+export function loadInventory() {
+  try {
+    const raw = localStorage.getItem(INVENTORY_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch { return []; }
+}
+
+export function saveInventory(items) {
+  try { localStorage.setItem(INVENTORY_KEY, JSON.stringify(items || [])); } catch { }
+}